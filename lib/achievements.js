@@ -0,0 +1,104 @@
+// Achievements, earned from verified runs. Each verified run is folded into the player's
+// lifetime stats and every achievement's progress is read back off those stats, so the
+// profile can show progress towards locked ones too.
+const TieSim = require('../public/sim');
+const { catalog } = require('./catalog');
+
+// progress(stats) -> a number compared against goal. `announce` ones are posted to chat.
+const ACHIEVEMENTS = [
+    {
+        id: 'first-drop', icon: '🎬', name: 'First Drop', description: 'Finish your first run',
+        goal: 1, progress: stats => stats.runs
+    },
+    {
+        id: 'legend-hunter', icon: '🌟', name: 'Legend Hunter', description: 'Catch 10 legendary ties in one run',
+        goal: 10, progress: stats => stats.best.catches.legendary || 0
+    },
+    {
+        id: 'survivor', icon: '⏱️', name: 'Survivor', description: 'Survive 3 minutes',
+        goal: 3 * 60, progress: stats => Math.floor(stats.best.frames / TieSim.FPS), announce: true
+    },
+    {
+        id: 'been-there', icon: '☠️', name: 'Been There, Died That', description: 'Die to every hazard',
+        goal: catalog.hazards.length, progress: stats => catalog.hazards.filter(h => stats.deaths[h.name]).length
+    },
+    {
+        id: 'combo-king', icon: '🔥', name: 'Combo King', description: 'Reach a 50 catch combo',
+        goal: 50, progress: stats => stats.best.combo, announce: true
+    },
+    {
+        id: 'power-player', icon: '⚡', name: 'Power Player', description: 'Collect 25 power-ups',
+        goal: 25, progress: stats => stats.powerups
+    },
+    {
+        id: 'tie-tycoon', icon: '👔', name: 'Tie Tycoon', description: 'Catch 1000 ties in total',
+        goal: 1000, progress: stats => stats.catches, announce: true
+    }
+];
+
+function emptyStats() {
+    return { runs: 0, frames: 0, catches: 0, powerups: 0, catchesByCategory: {}, deaths: {}, best: { score: 0, frames: 0, combo: 0, catches: {} } };
+}
+
+// Stored stats with whatever they don't have yet filled in. Storage only writes the values
+// runs have changed, so a player who never caught anything has no best.catches.
+function withDefaults(saved) {
+    const empty = emptyStats();
+    return saved ? { ...empty, ...saved, best: { ...empty.best, ...saved.best } } : empty;
+}
+
+// One run's summary (see Runs.verifyRun) as changes to lifetime stats: { add, max }, lists
+// of [path, value] where path is the keys down to a number. `add` values are added to it
+// and `max` values raise it. Storage applies them in one update (addUserStats), so two runs
+// finishing at once can't overwrite each other's.
+function statsChanges(run) {
+    const add = [[['runs'], 1], [['frames'], run.frames], [['powerups'], run.powerups], [['deaths', run.deathSource], 1]];
+    const max = [[['best', 'score'], run.score], [['best', 'frames'], run.frames], [['best', 'combo'], run.bestCombo]];
+    let catches = 0;
+    Object.entries(run.catches).forEach(([category, count]) => {
+        catches += count;
+        add.push([['catchesByCategory', category], count]);
+        max.push([['best', 'catches', category], count]);
+    });
+    add.push([['catches'], catches]);
+    return { add, max };
+}
+
+function describe(achievement) {
+    const { id, icon, name, description, goal } = achievement;
+    return { id, icon, name, description, goal };
+}
+
+function createAchievements({ storage }) {
+    return {
+        // Folds a verified run into the player's stats and unlocks whatever it earned.
+        // Returns the newly unlocked achievements.
+        async recordRun(twitterId, run) {
+            const stats = withDefaults(await storage.addUserStats(twitterId, statsChanges(run)));
+
+            const unlocked = [];
+            for (const achievement of ACHIEVEMENTS) {
+                if (achievement.progress(stats) < achievement.goal) continue;
+                // unlockAchievement is false when it was already unlocked
+                if (await storage.unlockAchievement(twitterId, achievement.id)) {
+                    unlocked.push({ ...describe(achievement), announce: !!achievement.announce });
+                }
+            }
+            return unlocked;
+        },
+
+        // Every achievement with the player's progress and, once earned, when
+        async forUser(twitterId) {
+            const [saved, earned] = await Promise.all([storage.getUserStats(twitterId), storage.getAchievements(twitterId)]);
+            const stats = withDefaults(saved);
+            const unlockedAt = new Map(earned.map(a => [a.id, a.unlockedAt]));
+            return ACHIEVEMENTS.map(achievement => ({
+                ...describe(achievement),
+                progress: Math.min(achievement.progress(stats), achievement.goal),
+                unlockedAt: unlockedAt.get(achievement.id) || null
+            }));
+        }
+    };
+}
+
+module.exports = { createAchievements, statsChanges, emptyStats, ACHIEVEMENTS };
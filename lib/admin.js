@@ -0,0 +1,144 @@
+// Admin dashboard actions behind /api/admin/*: finding players, voiding cheated scores,
+// reviewing chat, scheduling tournaments and managing API keys. Every change is written to the moderation log alongside chat moderation,
+// which makes it the one audit log for admin actions.
+const Tournaments = require('./tournaments');
+const Api = require('./api');
+
+const MAX_REASON_LENGTH = 200;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function cleanReason(reason) {
+    return typeof reason === 'string' ? reason.trim().slice(0, MAX_REASON_LENGTH) : '';
+}
+
+// ?limit= for admin lists, clamped
+function parseLimit(value) {
+    const limit = parseInt(value, 10);
+    return limit > 0 ? Math.min(limit, MAX_LIMIT) : DEFAULT_LIMIT;
+}
+
+// A user as admins see them: profile fields plus moderation status
+function describeUser(user) {
+    const { twitterId, username, displayName, photoUrl, profileUrl, role, mutedUntil, banned } = user;
+    return { twitterId, username, displayName, photoUrl, profileUrl, role, mutedUntil, banned };
+}
+
+// onVoid(scoreIds) is called after scores are voided so the caller can drop anything cached
+// for them, and onRevokeKey(id) likewise after an API key is revoked
+function createAdmin({ storage, onVoid = () => {}, onRevokeKey = () => {} }) {
+    function log(admin, action, targetId, details) {
+        return storage.addModerationLog({ moderatorId: admin.twitterId, action, targetId, details });
+    }
+
+    return {
+        async searchUsers(query, limit) {
+            const text = typeof query === 'string' ? query.trim().replace(/^@/, '') : '';
+            if (!text) return [];
+            const users = await storage.searchUsers(text, { limit: parseLimit(limit) });
+            return users.map(describeUser);
+        },
+
+        // The player and all their scores, voided ones included. Returns null for an unknown handle.
+        async userScores(username, { limit, offset } = {}) {
+            const user = await storage.findUserByUsername(username);
+            if (!user) return null;
+            const start = Math.max(parseInt(offset, 10) || 0, 0);
+            const scores = await storage.getUserRuns(user.twitterId, { limit: parseLimit(limit), offset: start, includeVoided: true });
+            return { user: describeUser(user), offset: start, scores: scores };
+        },
+
+        // Returns { notice } or { error }
+        async voidScore(admin, id, reason) {
+            const score = await storage.getScore(id);
+            if (!score) return { error: `No score with id ${id}.` };
+            if (!await storage.voidScore(score.id)) return { error: `Score ${score.id} is already void.` };
+
+            await log(admin, 'void-score', score.twitterId, `score ${score.id} (${score.score}) ${cleanReason(reason)}`.trim());
+            onVoid([score.id]);
+            return { notice: `Voided @${score.username}'s score of ${score.score}.` };
+        },
+
+        // Voids every score a player has, and takes them off every daily challenge and tournament
+        // board they are on. Those runs aren't stored as scores, so this is the only way to
+        // remove them. Returns { notice } or { error }.
+        async wipeScores(admin, username, reason) {
+            const user = await storage.findUserByUsername(username);
+            if (!user) return { error: `No player called @${username}.` };
+
+            const scores = await storage.getUserRuns(user.twitterId);
+            const count = await storage.voidUserScores(user.twitterId);
+            const entries = await storage.voidUserEntries(user.twitterId);
+            await log(admin, 'wipe-scores', user.twitterId, `${count} scores, ${entries} daily/tournament entries ${cleanReason(reason)}`.trim());
+            onVoid(scores.map(s => s.id));
+            return { notice: `Voided ${count} scores and ${entries} daily challenge and tournament entries from @${user.username}.` };
+        },
+
+        // Schedules a tournament from { name, startsAt, endsAt, maxAttempts }. Returns { notice, tournament } or { error }.
+        async scheduleTournament(admin, body) {
+            const parsed = Tournaments.parseSchedule(body);
+            if (parsed.error) return parsed;
+
+            const tournament = { ...parsed.tournament, createdBy: admin.twitterId };
+            tournament.id = await storage.addTournament(tournament);
+            await log(admin, 'schedule-tournament', null,
+                `${tournament.name} (${tournament.id}) ${tournament.startsAt.toISOString()} to ${tournament.endsAt.toISOString()}, ${tournament.maxAttempts} per player`);
+            return { notice: `Scheduled ${tournament.name}.`, tournament: Tournaments.describe(tournament, null) };
+        },
+
+        async apiKeys() {
+            const keys = await storage.listApiKeys();
+            return keys.map(Api.describeKey);
+        },
+
+        // Issues a key from { name, rateLimit }. Returns { notice, key, apiKey } with the key
+        // itself, which is never shown again, or { error }.
+        async issueApiKey(admin, body) {
+            const parsed = Api.parseKeyRequest(body);
+            if (parsed.error) return parsed;
+
+            const { key, keyHash, prefix } = Api.generateKey();
+            const record = { ...parsed.request, keyHash, prefix, createdBy: admin.twitterId };
+            const id = await storage.addApiKey(record);
+            await log(admin, 'issue-api-key', null, `${record.name} (${prefix}…) ${record.rateLimit}/min`);
+            const apiKey = Api.describeKey({ ...record, id, createdAt: new Date(), revokedAt: null });
+            return { notice: `Issued a key for ${record.name}. Copy it now; it won't be shown again.`, key: key, apiKey: apiKey };
+        },
+
+        // Returns { notice } or { error }
+        async revokeApiKey(admin, id) {
+            const key = (await storage.listApiKeys()).find(k => String(k.id) === String(id));
+            if (!key) return { error: `No API key with id ${id}.` };
+            if (!await storage.revokeApiKey(key.id)) return { error: `The key for ${key.name} is already revoked.` };
+
+            await log(admin, 'revoke-api-key', null, `${key.name} (${key.prefix}…)`);
+            onRevokeKey(key.id);
+            return { notice: `Revoked the key for ${key.name}.` };
+        },
+
+        // Recent chat (deleted messages are gone, but their text is in the log) and moderation history
+        async chat(limit) {
+            const n = parseLimit(limit);
+            const [messages, history] = await Promise.all([storage.getRecentMessages(n), this.auditLog(n)]);
+            return { messages: messages, moderation: history };
+        },
+
+        // Newest first, with the admin's and target's handles filled in where they are players
+        async auditLog(limit) {
+            const entries = await storage.getModerationLog(parseLimit(limit));
+            const ids = new Set(entries.flatMap(e => [e.moderatorId, e.targetId]));
+            const handles = new Map();
+            await Promise.all(Array.from(ids).map(async id => {
+                const user = id && await storage.getUser(id);
+                if (user) handles.set(id, user.username);
+            }));
+            return entries.map(e => ({
+                ...e,
+                moderator: handles.get(e.moderatorId) || null,
+                target: handles.get(e.targetId) || null
+            }));
+        }
+    };
+}
+
+module.exports = { createAdmin, parseLimit };
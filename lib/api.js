@@ -0,0 +1,186 @@
+// Public read API (/api/v1): API keys, per-key rate limits and cursors. Admins issue keys
+// from the dashboard. Only a SHA-256 hash of each key is stored, so the key itself is shown
+// once when it is issued and can't be looked up again.
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'td_';
+const MAX_NAME_LENGTH = 60;
+// Requests per key per minute, unless the key was issued with its own limit
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_RATE_LIMIT, 10) || 60;
+const MAX_RATE_LIMIT = 6000;
+const RATE_WINDOW_MS = 60 * 1000;
+// A key looked up in storage is trusted this long before it is looked up again. Revoking
+// clears it at once on the server that revoked it; other servers notice within this time.
+const KEY_CACHE_MS = 30 * 1000;
+// Failed key checks allowed per IP per minute. Past that, keys that aren't already known
+// are refused without a lookup, so guessing keys can't keep the database busy.
+const MAX_FAILURES_PER_IP = 20;
+const MAX_TRACKED_IPS = 10000;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// A new key: the secret to hand out, its hash for storage and a prefix to recognise it by
+function generateKey() {
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    return { key, keyHash: hashKey(key), prefix: key.slice(0, KEY_PREFIX.length + 6) };
+}
+
+// An admin's { name, rateLimit } -> { request: { name, rateLimit } } or { error }
+function parseKeyRequest(body) {
+    const source = body && typeof body === 'object' ? body : {};
+    const name = typeof source.name === 'string' ? source.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) return { error: `Give the key a name of up to ${MAX_NAME_LENGTH} characters, such as who it is for.` };
+    if (source.rateLimit === undefined || source.rateLimit === null || source.rateLimit === '') {
+        return { request: { name, rateLimit: DEFAULT_RATE_LIMIT } };
+    }
+    const rateLimit = Number(source.rateLimit);
+    if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > MAX_RATE_LIMIT) {
+        return { error: `The rate limit must be a whole number of requests per minute from 1 to ${MAX_RATE_LIMIT}.` };
+    }
+    return { request: { name, rateLimit } };
+}
+
+// A key as admins see it
+function describeKey(key) {
+    const { id, name, prefix, rateLimit, createdBy, createdAt, revokedAt } = key;
+    return { id: String(id), name, prefix, rateLimit, createdBy, createdAt, revokedAt };
+}
+
+// The key a request carries, from "Authorization: Bearer <key>" or X-API-Key
+function keyFromHeaders(headers) {
+    const auth = headers.authorization || '';
+    if (/^Bearer\s+/i.test(auth)) return auth.replace(/^Bearer\s+/i, '').trim();
+    return headers['x-api-key'] || null;
+}
+
+// Cursors are opaque to clients: base64url JSON saying where the next page starts, either
+// { offset } on ranked boards or { before: id } on newest-first lists
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return position && typeof position === 'object' ? position : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// ?limit=&cursor= for an 'offset' or 'before' list -> { limit, offset } or { limit, before }
+// (null on the first page), or { error } for a cursor this list didn't hand out
+function parsePage(query, kind) {
+    let limit = parseInt(query.limit, 10);
+    if (!(limit > 0)) limit = DEFAULT_PAGE_SIZE;
+    limit = Math.min(limit, MAX_PAGE_SIZE);
+    if (query.cursor === undefined || query.cursor === '') {
+        return kind === 'offset' ? { limit, offset: 0 } : { limit, before: null };
+    }
+    const position = decodeCursor(query.cursor);
+    if (kind === 'offset' && position && Number.isInteger(position.offset) && position.offset >= 0) {
+        return { limit, offset: position.offset };
+    }
+    if (kind === 'before' && position && ['string', 'number'].includes(typeof position.before)) {
+        return { limit, before: position.before };
+    }
+    return { error: 'Invalid cursor' };
+}
+
+// Lists are fetched with one row more than the page holds, so a next cursor is only handed
+// out when there is something after this page. Returns { data, nextCursor }.
+function toPage(rows, page) {
+    const data = rows.slice(0, page.limit);
+    if (rows.length <= page.limit) return { data, nextCursor: null };
+    const position = 'offset' in page ? { offset: page.offset + page.limit } : { before: data[data.length - 1].id };
+    return { data, nextCursor: encodeCursor(position) };
+}
+
+function createApiKeys({ storage }) {
+    // Only keys that exist are cached, so the cache can't grow past the keys ever issued
+    const cache = new Map(); // keyHash -> { key, expires }
+    const usage = new Map(); // key id -> { windowStart, count }
+    const failures = new Map(); // ip -> { windowStart, count }, oldest window first
+
+    function cachedKey(keyHash, now) {
+        const cached = cache.get(keyHash);
+        return cached && cached.expires > now ? cached.key : null;
+    }
+
+    async function lookup(keyHash, now) {
+        const cached = cachedKey(keyHash, now);
+        if (cached) return cached;
+        const key = await storage.findApiKey(keyHash);
+        if (key) cache.set(keyHash, { key: key, expires: now + KEY_CACHE_MS });
+        else cache.delete(keyHash);
+        return key;
+    }
+
+    // Seconds until the IP may try unknown keys again, or 0 if it may now
+    function blockedFor(ip, now) {
+        const entry = failures.get(ip);
+        if (!entry || now - entry.windowStart >= RATE_WINDOW_MS || entry.count < MAX_FAILURES_PER_IP) return 0;
+        return Math.ceil((entry.windowStart + RATE_WINDOW_MS - now) / 1000);
+    }
+
+    function recordFailure(ip, now) {
+        let entry = failures.get(ip);
+        if (!entry || now - entry.windowStart >= RATE_WINDOW_MS) {
+            // Re-inserted so the Map stays in window order and the oldest IP is dropped first
+            failures.delete(ip);
+            if (failures.size >= MAX_TRACKED_IPS) failures.delete(failures.keys().next().value);
+            entry = { windowStart: now, count: 0 };
+            failures.set(ip, entry);
+        }
+        entry.count++;
+    }
+
+    return {
+        // Checks a request's key, sent from `ip`, and counts it against the key's limit.
+        // Resolves to { key, limit, remaining, resetAt }, or { status, error } (with
+        // retryAfter, in seconds, when a limit is used up).
+        async check(rawKey, ip, now = Date.now()) {
+            if (!rawKey) return { status: 401, error: 'An API key is required. Send it as "Authorization: Bearer <key>".' };
+            const keyHash = hashKey(String(rawKey));
+            const retryAfter = cachedKey(keyHash, now) ? 0 : blockedFor(ip, now);
+            if (retryAfter) return { status: 429, error: 'Too many requests with invalid API keys.', retryAfter };
+
+            const key = await lookup(keyHash, now);
+            if (!key || key.revokedAt) {
+                recordFailure(ip, now);
+                return { status: 401, error: key ? 'This API key has been revoked.' : 'Unknown API key.' };
+            }
+
+            const id = String(key.id);
+            let window = usage.get(id);
+            if (!window || now - window.windowStart >= RATE_WINDOW_MS) {
+                window = { windowStart: now, count: 0 };
+                usage.set(id, window);
+            }
+            const resetAt = window.windowStart + RATE_WINDOW_MS;
+            if (window.count >= key.rateLimit) {
+                return { status: 429, error: 'Rate limit exceeded.', limit: key.rateLimit, remaining: 0, resetAt, retryAfter: Math.ceil((resetAt - now) / 1000) };
+            }
+            window.count++;
+            return { key, limit: key.rateLimit, remaining: key.rateLimit - window.count, resetAt };
+        },
+
+        // Stops trusting a revoked key straight away
+        forget(id) {
+            cache.forEach((entry, keyHash) => {
+                if (entry.key && String(entry.key.id) === String(id)) cache.delete(keyHash);
+            });
+            usage.delete(String(id));
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_RATE_LIMIT, MAX_PAGE_SIZE, hashKey, generateKey, parseKeyRequest, describeKey, keyFromHeaders,
+    encodeCursor, decodeCursor, parsePage, toPage, createApiKeys
+};
@@ -0,0 +1,14 @@
+// The item catalog (config/items.json): names, points, spawn tiers, weights, speed
+// multipliers, glow and sound for every falling item. Clients fetch the same file from
+// /api/items, so adding an item only means editing the JSON and dropping its image in public/.
+const fs = require('fs');
+const path = require('path');
+const TieSim = require('../public/sim');
+
+const CATALOG_FILE = path.join(__dirname, '..', 'config', 'items.json');
+
+// Read once at startup; a broken catalog stops the server instead of breaking every run
+const data = JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8'));
+const catalog = TieSim.loadCatalog(data);
+
+module.exports = { data, catalog };
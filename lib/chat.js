@@ -0,0 +1,119 @@
+// Chat message checks run before anything is stored or broadcast. Limits come from
+// options or the CHAT_* env vars (see README.md).
+
+// Reactions players can put on a message; anything else is refused
+const REACTIONS = ['👍', '😂', '😮', '🔥', '❤️', '👑'];
+// Messages per page of history, and per batch when a reconnecting client catches up
+const HISTORY_PAGE_SIZE = 50;
+const CATCH_UP_BATCH_SIZE = 100;
+// A player's "is typing" is passed on at most this often
+const TYPING_INTERVAL_MS = 1000;
+
+// What the server's chat announcements start with, by what they announce
+const ANNOUNCEMENT_PREFIXES = { top3: '👑', versus: '⚔️', achievement: '🏅', season: '🏆', tournament: '🎯' };
+
+// Text that only the server's own announcements are allowed to look like. Prefixes are
+// matched without their variation selector, so "⚔" is caught as well as "⚔️".
+const SYSTEM_PATTERNS = [
+    /^\s*SYSTEM\b/i,
+    /just took #\d+ place/i,
+    ...Object.values(ANNOUNCEMENT_PREFIXES).map(prefix => new RegExp(`^\\s*${escapeRegExp(prefix.replace(/\uFE0F/g, ''))}`, 'u'))
+];
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseWordList(value) {
+    return (value || '').split(',').map(w => w.trim()).filter(Boolean);
+}
+
+function createChatFilter(options = {}) {
+    const maxLength = options.maxLength || parseInt(process.env.CHAT_MAX_LENGTH, 10) || 140;
+    const rateLimit = options.rateLimit || parseInt(process.env.CHAT_RATE_LIMIT, 10) || 5;
+    const rateWindowMs = options.rateWindowMs || parseInt(process.env.CHAT_RATE_WINDOW_MS, 10) || 10000;
+    const blockedWords = options.blockedWords || parseWordList(process.env.CHAT_BLOCKED_WORDS);
+    const blocked = blockedWords.length
+        ? new RegExp(`\\b(${blockedWords.map(escapeRegExp).join('|')})\\b`, 'i')
+        : null;
+
+    // twitterId -> timestamps of messages (or reactions, or reports) sent inside the current window
+    const recent = new Map();
+    const recentReactions = new Map();
+    const recentReports = new Map();
+
+    function isRateLimited(log, limit, twitterId, now) {
+        const sent = (log.get(twitterId) || []).filter(t => now - t < rateWindowMs);
+        if (sent.length >= limit) {
+            log.set(twitterId, sent);
+            return true;
+        }
+        sent.push(now);
+        log.set(twitterId, sent);
+        return false;
+    }
+
+    return {
+        // Returns { text } with the cleaned message, or { error } explaining the rejection
+        check(user, rawText, now = Date.now()) {
+            if (!user) return { error: 'Connect X to chat.' };
+
+            const text = typeof rawText === 'string' ? rawText.trim() : '';
+            if (!text) return { error: 'Message is empty.' };
+            if (text.length > maxLength) return { error: `Messages are limited to ${maxLength} characters.` };
+            if (SYSTEM_PATTERNS.some(p => p.test(text))) return { error: 'Messages cannot imitate system announcements.' };
+            if (blocked && blocked.test(text)) return { error: 'Message contains a blocked word.' };
+            if (isRateLimited(recent, rateLimit, user.twitterId, now)) return { error: 'You are sending messages too fast. Slow down a little.' };
+
+            return { text: text };
+        },
+
+        // Returns { emoji } or { error }. Reactions are cheaper than messages, so twice as many are allowed.
+        checkReaction(user, emoji, now = Date.now()) {
+            if (!user) return { error: 'Connect X to react.' };
+            if (!REACTIONS.includes(emoji)) return { error: 'That reaction is not available.' };
+            if (isRateLimited(recentReactions, rateLimit * 2, user.twitterId, now)) return { error: 'You are reacting too fast. Slow down a little.' };
+            return { emoji: emoji };
+        },
+
+        // Returns {} when the player may report a message, or { error }. Each report reaches every
+        // connected admin, so they count against the same limit as messages.
+        checkReport(user, now = Date.now()) {
+            if (!user) return { error: 'Connect X to report messages.' };
+            if (isRateLimited(recentReports, rateLimit, user.twitterId, now)) return { error: 'You are sending reports too fast. Slow down a little.' };
+            return {};
+        }
+    };
+}
+
+// Who is connected, for the online list. A player with several tabs open is listed once;
+// guests are only counted. Each server instance knows only its own sockets.
+function createPresence() {
+    const sockets = new Map(); // socket id -> { username, photoUrl }, or null for a guest
+
+    return {
+        join(socketId, user) {
+            sockets.set(socketId, user ? { username: user.username, photoUrl: user.photoUrl } : null);
+        },
+
+        leave(socketId) {
+            return sockets.delete(socketId);
+        },
+
+        // { users: [{ username, photoUrl }] by handle, guests }
+        list() {
+            const users = new Map();
+            let guests = 0;
+            sockets.forEach(user => {
+                if (user) users.set(user.username, user);
+                else guests++;
+            });
+            return {
+                users: Array.from(users.values()).sort((a, b) => a.username.toLowerCase() < b.username.toLowerCase() ? -1 : 1),
+                guests: guests
+            };
+        }
+    };
+}
+
+module.exports = { ANNOUNCEMENT_PREFIXES, REACTIONS, HISTORY_PAGE_SIZE, CATCH_UP_BATCH_SIZE, TYPING_INTERVAL_MS, createChatFilter, createPresence };
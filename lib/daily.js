@@ -0,0 +1,62 @@
+// Daily challenge: one shared run per UTC day. Everyone gets the date's seed and modifier,
+// and only a player's first attempt counts on that day's board.
+const crypto = require('crypto');
+const TieSim = require('../public/sim');
+const Runs = require('./runs');
+
+// Seeds are keyed on this so upcoming challenges can't be worked out ahead of time
+const SECRET = process.env.DAILY_SECRET || process.env.SESSION_SECRET || 'keyboard cat';
+
+// One a day, in this order. Ids are TieSim.MODIFIERS keys.
+const MODIFIERS = [
+    { id: 'fast-hazards', name: 'Fast Hazards', description: 'Hazards fall 60% faster.' },
+    { id: 'no-tens', name: 'No Classics', description: 'No 10 point ties. Only rare and legendary ties and power-ups fall.' },
+    { id: 'reversed', name: 'Reversed Controls', description: 'Left moves right and right moves left.' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD of the UTC day containing `now`
+function dateKey(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+}
+
+// A YYYY-MM-DD string naming a real day, or null
+function parseDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && dateKey(date) === value ? value : null;
+}
+
+// The challenge for a date: { date, seed, modifier: { id, name, description }, endsAt }
+function challengeFor(date) {
+    const start = Date.parse(`${date}T00:00:00Z`);
+    const seed = crypto.createHmac('sha256', SECRET).update(`daily:${date}`).digest().readUInt32BE(0);
+    const day = Math.floor(start / DAY_MS);
+    return {
+        date: date,
+        seed: seed,
+        modifier: MODIFIERS[((day % MODIFIERS.length) + MODIFIERS.length) % MODIFIERS.length],
+        endsAt: new Date(start + DAY_MS)
+    };
+}
+
+// The challenge as GET requests show it. The seed is left out until the day is over: the
+// simulation is deterministic, so knowing it would let players rehearse the exact run before
+// their one counted attempt. POST /api/daily/run hands it out with that attempt.
+function describe(challenge, now = new Date()) {
+    if (now >= challenge.endsAt) return challenge;
+    const { seed, ...rest } = challenge;
+    return rest;
+}
+
+// A run ticket for the challenge; Runs.verifyRun replays it with the modifier
+function issueRun(challenge) {
+    return { ...Runs.issueRun(challenge.seed), daily: challenge.date, modifier: challenge.modifier.id };
+}
+
+MODIFIERS.forEach(m => {
+    if (!TieSim.MODIFIERS[m.id]) throw new Error(`Daily modifier ${m.id} is not defined in sim.js.`);
+});
+
+module.exports = { MODIFIERS, dateKey, parseDate, challengeFor, describe, issueRun };
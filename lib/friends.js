@@ -0,0 +1,123 @@
+// Friends: players follow each other, the friends leaderboard ranks a player against the
+// people they follow, and followers hear about it when someone they follow beats their best.
+
+const MAX_FOLLOWING = 1000;
+// X_IMPORT_FOLLOWS=true follows, at each login, the players someone already follows on X
+const IMPORT_FROM_X = process.env.X_IMPORT_FOLLOWS === 'true';
+// One request returns up to 5000 ids, newest follows first
+const X_FOLLOWING_URL = 'https://api.twitter.com/1.1/friends/ids.json';
+// Ids looked up per storage query while importing, to keep request URLs short
+const IMPORT_CHUNK_SIZE = 200;
+
+// A user as the friends list shows them
+function toEntry(user) {
+    return { username: user.username, photoUrl: user.photoUrl };
+}
+
+// The ids of the accounts a player follows on X, read with the token from their login.
+// Needs X API access that includes the following list.
+function fetchXFollowing(oauth, token, tokenSecret, twitterId) {
+    const url = `${X_FOLLOWING_URL}?user_id=${encodeURIComponent(twitterId)}&count=5000&stringify_ids=true`;
+    return new Promise((resolve, reject) => {
+        oauth.get(url, token, tokenSecret, (err, body) => {
+            if (err) return reject(new Error(`X answered ${err.statusCode || 'with an error'}: ${err.data || ''}`.trim()));
+            try {
+                const ids = JSON.parse(body).ids;
+                resolve(Array.isArray(ids) ? ids.map(String) : []);
+            } catch (parseErr) {
+                reject(parseErr);
+            }
+        });
+    });
+}
+
+// notify(follower, { username, score, best }) is called for each follower whose best score
+// was just beaten, so the caller can tell them wherever they are connected
+function createFriends({ storage, notify }) {
+    async function findTarget(user, username) {
+        const target = await storage.findUserByUsername(String(username || '').replace(/^@/, ''));
+        if (!target) return { error: 'Player not found.' };
+        if (target.twitterId === user.twitterId) return { error: 'You can\'t follow yourself.' };
+        return { target };
+    }
+
+    return {
+        // Resolves to { notice, username } or { error }
+        async follow(user, username) {
+            const { target, error } = await findTarget(user, username);
+            if (error) return { error };
+            const following = await storage.getFollowing(user.twitterId);
+            if (!following.some(u => u.twitterId === target.twitterId) && following.length >= MAX_FOLLOWING) {
+                return { error: `You can follow up to ${MAX_FOLLOWING} players.` };
+            }
+            await storage.follow(user.twitterId, target.twitterId);
+            return { notice: `You follow @${target.username}.`, username: target.username };
+        },
+
+        async unfollow(user, username) {
+            const { target, error } = await findTarget(user, username);
+            if (error) return { error };
+            await storage.unfollow(user.twitterId, target.twitterId);
+            return { notice: `You no longer follow @${target.username}.`, username: target.username };
+        },
+
+        // { following, followers } as lists of { username, photoUrl }
+        async list(user) {
+            const [following, followers] = await Promise.all([storage.getFollowing(user.twitterId), storage.getFollowers(user.twitterId)]);
+            return { following: following.map(toEntry), followers: followers.map(toEntry) };
+        },
+
+        // Follower and following counts for a profile, and whether the viewer (if any) follows it
+        async counts(user, viewer) {
+            const [following, followers] = await Promise.all([storage.getFollowing(user.twitterId), storage.getFollowers(user.twitterId)]);
+            return {
+                followers: followers.length,
+                following: following.length,
+                followed: !!viewer && followers.some(u => u.twitterId === viewer.twitterId)
+            };
+        },
+
+        // The players on someone's friends leaderboard: them and everyone they follow
+        async boardIds(user) {
+            const following = await storage.getFollowing(user.twitterId);
+            return [user.twitterId, ...following.map(u => u.twitterId)];
+        },
+
+        // Follows whichever of these X accounts play here. Nobody is unfollowed. Resolves to how
+        // many players were newly followed.
+        async importFollows(user, twitterIds) {
+            let room = MAX_FOLLOWING - (await storage.getFollowing(user.twitterId)).length;
+            let added = 0;
+            for (let i = 0; i < twitterIds.length && room > 0; i += IMPORT_CHUNK_SIZE) {
+                const players = await storage.getUsersByIds(twitterIds.slice(i, i + IMPORT_CHUNK_SIZE));
+                for (const player of players) {
+                    if (room <= 0 || player.twitterId === user.twitterId) continue;
+                    if (await storage.follow(user.twitterId, player.twitterId)) {
+                        added++;
+                        room--;
+                    }
+                }
+            }
+            return added;
+        },
+
+        // Called after a leaderboard score is stored. previousBest is the player's all-time best
+        // before it (null for a first run); only followers whose best lay between the two hear
+        // about it, so nobody is told twice about the same overtaking.
+        async scoreBeaten(user, previousBest, score) {
+            const followers = await storage.getFollowers(user.twitterId);
+            if (!followers.length || (previousBest !== null && previousBest >= score)) return 0;
+            const bests = await storage.getLeaderboard({ twitterIds: followers.map(u => u.twitterId), limit: followers.length });
+            let told = 0;
+            bests.forEach(row => {
+                if (row.highScore >= score || (previousBest !== null && previousBest > row.highScore)) return;
+                const follower = followers.find(u => u.username === row.username);
+                notify(follower, { username: user.username, score: score, best: row.highScore });
+                told++;
+            });
+            return told;
+        }
+    };
+}
+
+module.exports = { MAX_FOLLOWING, IMPORT_FROM_X, fetchXFollowing, createFriends };
@@ -0,0 +1,33 @@
+// Leaderboard windows reset on UTC calendar boundaries: midnight, Monday and the 1st.
+const WINDOWS = ['daily', 'weekly', 'monthly', 'all'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Start of the window containing `now`, or null for the all-time board
+function windowStart(window, now = new Date()) {
+    const y = now.getUTCFullYear(); const m = now.getUTCMonth(); const d = now.getUTCDate();
+    switch (window) {
+        case 'daily': return new Date(Date.UTC(y, m, d));
+        case 'weekly': return new Date(Date.UTC(y, m, d - ((now.getUTCDay() + 6) % 7)));
+        case 'monthly': return new Date(Date.UTC(y, m, 1));
+        default: return null;
+    }
+}
+
+// Reads ?window=&limit=&offset= into storage query options, clamping anything odd
+function parseQuery(query) {
+    const window = WINDOWS.includes(query.window) ? query.window : 'all';
+    let limit = parseInt(query.limit, 10);
+    if (!(limit > 0)) limit = DEFAULT_PAGE_SIZE;
+    let offset = parseInt(query.offset, 10);
+    if (!(offset > 0)) offset = 0;
+    return { window, since: windowStart(window), limit: Math.min(limit, MAX_PAGE_SIZE), offset };
+}
+
+// Positions are 1-based and contiguous; storage breaks score ties by twitterId
+function withRanks(rows, offset) {
+    return rows.map((row, i) => ({ rank: offset + i + 1, ...row }));
+}
+
+module.exports = { WINDOWS, windowStart, parseQuery, withRanks };
@@ -0,0 +1,139 @@
+// Chat moderation: admin slash commands, mutes, bans and message reports.
+// Every admin action is written to the moderation log.
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const DEFAULT_MUTE = '10m';
+const MAX_REASON_LENGTH = 200;
+
+const HELP = [
+    '/mute @user [10m|2h|1d] [reason]',
+    '/unmute @user',
+    '/ban @user [reason]',
+    '/unban @user',
+    '/delete <message id>'
+].join('  ·  ');
+
+// "30s", "10m", "2h", "1d" -> milliseconds, or null if unparseable
+function parseDuration(str) {
+    const match = /^(\d+)([smhd])$/i.exec(str || '');
+    return match ? parseInt(match[1], 10) * DURATION_UNITS[match[2].toLowerCase()] : null;
+}
+
+function isAdmin(user) {
+    return !!user && user.role === 'admin';
+}
+
+function isMuted(user, now = new Date()) {
+    return !!user && !!user.mutedUntil && user.mutedUntil > now;
+}
+
+function isBanned(user) {
+    return !!user && user.banned;
+}
+
+// Handles listed in ADMIN_USERNAMES are promoted to admin when they log in
+function isConfiguredAdmin(username) {
+    const admins = (process.env.ADMIN_USERNAMES || '').split(',').map(n => n.trim().replace(/^@/, '').toLowerCase());
+    return admins.includes(String(username).toLowerCase());
+}
+
+// onDelete(id) is called after a message is removed so the caller can tell connected clients
+function createModeration({ storage, onDelete }) {
+    function log(moderator, action, targetId, details) {
+        return storage.addModerationLog({ moderatorId: moderator.twitterId, action, targetId, details });
+    }
+
+    // Looks up the @user argument; admins can't be muted or banned through chat
+    async function findTarget(handle) {
+        if (!handle) return { error: 'Missing @user.' };
+        const target = await storage.findUserByUsername(handle.replace(/^@/, ''));
+        if (!target) return { error: `No player called ${handle}.` };
+        if (isAdmin(target)) return { error: `@${target.username} is an admin.` };
+        return { target };
+    }
+
+    const COMMANDS = {
+        async mute(moderator, [handle, duration = DEFAULT_MUTE, ...reason]) {
+            const ms = parseDuration(duration);
+            if (!ms) return { error: `"${duration}" is not a duration. Use something like 30s, 10m, 2h or 1d.` };
+            const { target, error } = await findTarget(handle);
+            if (error) return { error };
+
+            await storage.updateUserStatus(target.twitterId, { mutedUntil: new Date(Date.now() + ms) });
+            await log(moderator, 'mute', target.twitterId, [duration, ...reason].join(' '));
+            return { notice: `@${target.username} is muted for ${duration}.` };
+        },
+
+        async unmute(moderator, [handle]) {
+            const { target, error } = await findTarget(handle);
+            if (error) return { error };
+
+            await storage.updateUserStatus(target.twitterId, { mutedUntil: null });
+            await log(moderator, 'unmute', target.twitterId, '');
+            return { notice: `@${target.username} is no longer muted.` };
+        },
+
+        async ban(moderator, [handle, ...reason]) {
+            const { target, error } = await findTarget(handle);
+            if (error) return { error };
+
+            await storage.updateUserStatus(target.twitterId, { banned: true });
+            await log(moderator, 'ban', target.twitterId, reason.join(' '));
+            return { notice: `@${target.username} is banned from chat and score submission.` };
+        },
+
+        async unban(moderator, [handle]) {
+            const { target, error } = await findTarget(handle);
+            if (error) return { error };
+
+            await storage.updateUserStatus(target.twitterId, { banned: false });
+            await log(moderator, 'unban', target.twitterId, '');
+            return { notice: `@${target.username} is no longer banned.` };
+        },
+
+        async delete(moderator, [id]) {
+            const message = id && await storage.getMessage(id);
+            if (!message) return { error: `No message with id ${id}.` };
+
+            await storage.deleteMessage(message.id);
+            // Keep what was said, since the message itself is gone from chat
+            await log(moderator, 'delete', String(message.id), `${message.user}: ${message.text}`);
+            onDelete(message.id);
+            return { notice: `Message ${message.id} deleted.` };
+        },
+
+        async help() {
+            return { notice: HELP };
+        }
+    };
+
+    return {
+        isCommand(text) {
+            return typeof text === 'string' && text.startsWith('/');
+        },
+
+        // Runs "/command args..." for the given account. Returns { notice } or { error }.
+        async runCommand(user, text) {
+            if (!isAdmin(user)) return { error: 'Only admins can use chat commands.' };
+
+            const [name, ...args] = text.slice(1).trim().split(/\s+/);
+            // Own properties only, so "/constructor" or "/__proto__" are unknown commands
+            const key = name.toLowerCase();
+            const command = Object.hasOwn(COMMANDS, key) ? COMMANDS[key] : null;
+            if (!command) return { error: `Unknown command /${name}. ${HELP}` };
+            return command(user, args);
+        },
+
+        // Stores a report against a message. Returns { message } (the reported message) or { error }.
+        async report(user, messageId, reason) {
+            const message = await storage.getMessage(messageId);
+            if (!message) return { error: 'That message no longer exists.' };
+
+            const cleanReason = typeof reason === 'string' ? reason.trim().slice(0, MAX_REASON_LENGTH) : '';
+            await storage.addReport({ messageId: message.id, reporterId: user.twitterId, reason: cleanReason });
+            return { message, reason: cleanReason };
+        }
+    };
+}
+
+module.exports = { createModeration, parseDuration, isAdmin, isMuted, isBanned, isConfiguredAdmin };
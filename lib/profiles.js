@@ -0,0 +1,61 @@
+// Player profiles: lifetime numbers worked out from every run a player has stored. Scores
+// saved before runs carried their details have no frames, catches or death source, so
+// those count towards the score figures only.
+const TieSim = require('../public/sim');
+
+// How many of the latest runs a profile lists; older ones are paged in from /runs
+const HISTORY_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function median(sorted) {
+    if (!sorted.length) return null;
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+// runs: as returned by storage.getUserRuns
+function summarizeRuns(runs) {
+    const scores = runs.map(r => r.score).sort((a, b) => a - b);
+    const deaths = {};
+    const catches = {};
+    let frames = 0;
+    runs.forEach(run => {
+        frames += run.frames || 0;
+        if (run.deathSource) deaths[run.deathSource] = (deaths[run.deathSource] || 0) + 1;
+        Object.entries(run.catches || {}).forEach(([category, count]) => {
+            catches[category] = (catches[category] || 0) + count;
+        });
+    });
+    return {
+        runs: runs.length,
+        best: scores.length ? scores[scores.length - 1] : null,
+        average: scores.length ? Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length) : null,
+        median: median(scores),
+        playtime: Math.round(frames / TieSim.FPS), // seconds
+        deaths: deaths,
+        catches: catches
+    };
+}
+
+// A stored run as the API shows it, with its length in seconds
+function toHistoryEntry(run) {
+    return {
+        id: run.id,
+        score: run.score,
+        duration: run.frames ? Math.round(run.frames / TieSim.FPS) : null,
+        catches: run.catches,
+        deathSource: run.deathSource,
+        createdAt: run.createdAt
+    };
+}
+
+// Reads ?limit=&offset= for the run history, clamping anything odd
+function parsePage(query) {
+    let limit = parseInt(query.limit, 10);
+    if (!(limit > 0)) limit = HISTORY_SIZE;
+    let offset = parseInt(query.offset, 10);
+    if (!(offset > 0)) offset = 0;
+    return { limit: Math.min(limit, MAX_PAGE_SIZE), offset };
+}
+
+module.exports = { HISTORY_SIZE, summarizeRuns, toHistoryEntry, parsePage };
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const TieSim = require('../public/sim');
+const { catalog } = require('./catalog');
+
+// Longest run we are willing to re-simulate: one hour
+const MAX_FRAMES = 60 * 60 * TieSim.FPS;
+// The client steps at a fixed TieSim.FPS; allow a little for timer jitter
+const MIN_FRAME_MS = (1000 / TieSim.FPS) * 0.9;
+// Runs a session can have waiting for a score at once. Runs queued while offline are
+// submitted later, possibly after the player has started others.
+const MAX_PENDING_RUNS = 5;
+// Guests can't submit at all until they connect X, so more of their runs are kept for then
+const MAX_GUEST_RUNS = 50;
+// How long the answer to a submission is kept for retries of it
+const RETRY_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MAX_REMEMBERED_SUBMISSIONS = 10000;
+
+// A fresh run ticket, kept in the player's session (see rememberRun) until a score is submitted for it.
+// Versus matches and daily challenges pass a seed so everyone gets the same run; daily
+// tickets also carry the challenge's date and modifier (see lib/daily.js).
+function issueRun(seed = crypto.randomBytes(4).readUInt32BE(0)) {
+    return {
+        token: crypto.randomBytes(16).toString('hex'),
+        seed: seed,
+        issuedAt: Date.now()
+    };
+}
+
+function isValidInputLog(inputs, frames) {
+    if (!Array.isArray(inputs) || inputs.length % 2 !== 0) return false;
+    let lastFrame = 0;
+    for (let i = 0; i < inputs.length; i += 2) {
+        const frame = inputs[i]; const input = inputs[i + 1];
+        if (!Number.isInteger(frame) || frame <= lastFrame || frame > frames) return false;
+        if (!TieSim.isValidInput(input)) return false;
+        lastFrame = frame;
+    }
+    return true;
+}
+
+// Same categories with the same counts, whatever order they are listed in
+function sameCatches(claimed, actual) {
+    if (!claimed || typeof claimed !== 'object' || Array.isArray(claimed)) return false;
+    const keys = Object.keys(actual);
+    return Object.keys(claimed).length === keys.length && keys.every(k => claimed[k] === actual[k]);
+}
+
+// Checks a score submission against the run it claims to belong to by replaying the
+// recorded inputs. Besides the score, the submission claims how the run went (catches per
+// category and the hazard that ended it) and those have to match the replay too. Returns { score, replay, summary } on success or { error } describing the
+// rejection; replay holds everything needed to watch the run again and summary what happened in it.
+function verifyRun(run, submission) {
+    if (!run) return { error: 'No active run. Start a new game before submitting a score.' };
+
+    const { token, score, frames, inputs, catches, deathSource } = submission || {};
+    if (token !== run.token) return { error: 'Run token does not match the active run.' };
+    if (!Number.isInteger(score) || score < 0) return { error: 'Score must be a non-negative integer.' };
+    if (!Number.isInteger(frames) || frames < 1 || frames > MAX_FRAMES) return { error: 'Frame count is missing or out of range.' };
+    if (!isValidInputLog(inputs, frames)) return { error: 'Input log is malformed.' };
+    if (Date.now() - run.issuedAt < frames * MIN_FRAME_MS) return { error: 'Run finished faster than it could have been played.' };
+
+    const result = TieSim.replay(run.seed, inputs, frames, catalog, run.modifier || null);
+    if (!result.dead || result.frames !== frames) return { error: 'Replay did not end on the submitted frame.' };
+    if (result.score !== score) return { error: `Replay scored ${result.score}, submission claimed ${score}.` };
+    if (!sameCatches(catches, result.stats.catches)) return { error: 'Catches do not match the replay.' };
+    if (deathSource !== result.deathSource.name) return { error: `Replay died to ${result.deathSource.name}, submission claimed ${deathSource}.` };
+
+    return {
+        score: result.score,
+        replay: { version: TieSim.VERSION, catalogVersion: catalog.version, seed: run.seed, frames: frames, inputs: inputs },
+        summary: {
+            score: result.score,
+            frames: result.frames,
+            bestCombo: result.bestCombo,
+            catches: result.stats.catches,
+            powerups: result.stats.powerups,
+            deathSource: result.deathSource.name
+        }
+    };
+}
+
+// Adds a ticket to the session's pending runs ({ token: run }), dropping the oldest past `limit`
+function rememberRun(session, run, limit = MAX_PENDING_RUNS) {
+    const runs = { ...(session.runs || {}), [run.token]: run };
+    const tokens = Object.keys(runs);
+    tokens.slice(0, Math.max(0, tokens.length - limit)).forEach(token => delete runs[token]);
+    session.runs = runs;
+}
+
+// Answers to recent score submissions, so a retried one (its response was lost, or the
+// offline queue sent it twice) gets the first answer again instead of being stored twice.
+// A retry that arrives while the first is still being handled waits for it. Answers are
+// kept in memory, so this covers retries to the same server process (see README.md,
+// Deployment Steps).
+function createSubmissionCache({ windowMs = RETRY_WINDOW_MS, max = MAX_REMEMBERED_SUBMISSIONS } = {}) {
+    const answers = new Map(); // key -> { at, answer: Promise<{ status, body }> }
+
+    // Map order is insertion order, so the oldest entries come first. Leaves room for one more.
+    function prune(now) {
+        for (const [key, entry] of answers) {
+            if (now - entry.at < windowMs && answers.size < max) break;
+            answers.delete(key);
+        }
+    }
+
+    return {
+        // Resolves to handle()'s { status, body } the first time `key` is seen and to the same
+        // answer, marked duplicate, after that. Server errors (5xx) are forgotten so they can be retried.
+        once(key, handle, now = Date.now()) {
+            const known = answers.get(key);
+            if (known && now - known.at < windowMs) {
+                return known.answer.then(answer => ({ status: answer.status, body: { ...answer.body, duplicate: true } }));
+            }
+
+            answers.delete(key);
+            prune(now);
+            const answer = Promise.resolve().then(handle);
+            answers.set(key, { at: now, answer: answer });
+            answer.then(a => { if (a.status >= 500) answers.delete(key); }, () => answers.delete(key));
+            return answer;
+        }
+    };
+}
+
+module.exports = { MAX_GUEST_RUNS, issueRun, verifyRun, rememberRun, createSubmissionCache };
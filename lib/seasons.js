@@ -0,0 +1,76 @@
+// Seasons (config/seasons.json): fixed windows that each get a fresh leaderboard. While a
+// season runs its board is worked out from the scores table like the other windows; once it
+// has ended the final standings are copied into the season_archives table, so later voids,
+// renames or replay pruning don't rewrite history.
+const fs = require('fs');
+const path = require('path');
+const Leaderboard = require('./leaderboard');
+
+const SEASONS_FILE = path.join(__dirname, '..', 'config', 'seasons.json');
+const ARCHIVE_SIZE = 1000; // Players kept in a season's final standings
+
+// Checks the file's { seasons: [{ id, name, start, end }] } and returns the seasons oldest
+// first, with Date start and end. Throws on anything that would make boards ambiguous.
+function loadSeasons(data) {
+    if (!data || !Array.isArray(data.seasons)) throw new Error('Seasons file needs a seasons list.');
+    const seasons = data.seasons.map(s => {
+        if (typeof s.id !== 'string' || !/^[a-z0-9-]{1,40}$/.test(s.id)) throw new Error(`Season id "${s.id}" must be lowercase letters, digits and dashes.`);
+        if (s.id === 'current') throw new Error('"current" is reserved and cannot be a season id.');
+        if (!s.name || typeof s.name !== 'string') throw new Error(`Season ${s.id} needs a name.`);
+        const start = new Date(s.start); const end = new Date(s.end);
+        if (isNaN(start) || isNaN(end) || end <= start) throw new Error(`Season ${s.id} needs an ISO start before its end.`);
+        return { id: s.id, name: s.name, start: start, end: end };
+    }).sort((a, b) => a.start - b.start);
+
+    seasons.forEach((s, i) => {
+        if (seasons.findIndex(other => other.id === s.id) !== i) throw new Error(`Season id ${s.id} is used twice.`);
+        if (i > 0 && s.start < seasons[i - 1].end) throw new Error(`Season ${s.id} overlaps ${seasons[i - 1].id}.`);
+    });
+    return seasons;
+}
+
+// Read once at startup; a broken file stops the server like a broken item catalog does
+const seasons = loadSeasons(JSON.parse(fs.readFileSync(SEASONS_FILE, 'utf8')));
+
+function status(season, now = new Date()) {
+    if (now < season.start) return 'upcoming';
+    return now < season.end ? 'active' : 'ended';
+}
+
+function current(now = new Date()) {
+    return seasons.find(s => status(s, now) === 'active') || null;
+}
+
+// A season by id, or the running one for "current". Null if there is no such season.
+function find(id, now = new Date()) {
+    if (id === 'current') return current(now);
+    return seasons.find(s => s.id === id) || null;
+}
+
+// What /api/seasons shows for a season
+function describe(season, now = new Date()) {
+    return { id: season.id, name: season.name, startsAt: season.start, endsAt: season.end, status: status(season, now) };
+}
+
+// Archives seasons that have ended. Resolves to [{ season, standings }] for each season this
+// call archived, so the caller can announce the winners; storage.archiveSeason only lets one
+// server instance archive a season, and only that one gets it back.
+function createSeasons({ storage }) {
+    let archived = null; // Season ids known to be archived, loaded on first use
+
+    return {
+        async closeEnded(now = new Date()) {
+            if (!archived) archived = new Set(await storage.listArchivedSeasons());
+            const closed = [];
+            for (const season of seasons.filter(s => status(s, now) === 'ended' && !archived.has(s.id))) {
+                const rows = await storage.getLeaderboard({ since: season.start, until: season.end, limit: ARCHIVE_SIZE });
+                const standings = Leaderboard.withRanks(rows, 0);
+                if (await storage.archiveSeason(season.id, standings)) closed.push({ season, standings });
+                archived.add(season.id);
+            }
+            return closed;
+        }
+    };
+}
+
+module.exports = { ARCHIVE_SIZE, seasons, loadSeasons, status, current, find, describe, createSeasons };
@@ -0,0 +1,57 @@
+// Player settings that follow the account between devices. The browser keeps its own copy
+// in localStorage and syncs it here once logged in; anything unrecognised is dropped
+// before it is stored.
+const ACTIONS = ['left', 'right'];
+const KEYS_PER_ACTION = 2;
+const MAX_KEY_LENGTH = 20;     // KeyboardEvent.key values, e.g. "ArrowLeft" or "a"
+const TOUCH_SCHEMES = ['split', 'drag'];
+// Anything below 1 is practice only: those runs get no run token and are never submitted
+const GAME_SPEEDS = [0.5, 0.75, 1];
+
+const DEFAULTS = {
+    controls: {
+        left: ['ArrowLeft', 'a'],
+        right: ['ArrowRight', 'd'],
+        touch: 'split'          // 'split': hold either half of the screen, 'drag': the player follows the finger
+    },
+    access: {
+        highContrast: false,    // Shape outlines instead of coloured glows to tell hazards from ties
+        reducedMotion: null,    // null follows the device's prefers-reduced-motion setting
+        gameSpeed: 1,
+        announce: true          // Screen reader announcements of the score while playing
+    }
+};
+
+function cleanKeys(keys, fallback) {
+    if (!Array.isArray(keys)) return fallback.slice();
+    return keys
+        .filter(key => typeof key === 'string' && key.length > 0 && key.length <= MAX_KEY_LENGTH)
+        .slice(0, KEYS_PER_ACTION);
+}
+
+function cleanControls(controls) {
+    const source = controls && typeof controls === 'object' ? controls : {};
+    const clean = {};
+    ACTIONS.forEach(action => { clean[action] = cleanKeys(source[action], DEFAULTS.controls[action]); });
+    clean.touch = TOUCH_SCHEMES.includes(source.touch) ? source.touch : DEFAULTS.controls.touch;
+    return clean;
+}
+
+function cleanAccess(access) {
+    const source = access && typeof access === 'object' ? access : {};
+    const flag = (value, fallback) => typeof value === 'boolean' ? value : fallback;
+    return {
+        highContrast: flag(source.highContrast, DEFAULTS.access.highContrast),
+        reducedMotion: flag(source.reducedMotion, DEFAULTS.access.reducedMotion),
+        gameSpeed: GAME_SPEEDS.includes(source.gameSpeed) ? source.gameSpeed : DEFAULTS.access.gameSpeed,
+        announce: flag(source.announce, DEFAULTS.access.announce)
+    };
+}
+
+// A settings object as submitted by the browser -> what gets stored, with defaults for missing parts
+function sanitize(settings) {
+    const source = settings && typeof settings === 'object' ? settings : {};
+    return { controls: cleanControls(source.controls), access: cleanAccess(source.access) };
+}
+
+module.exports = { DEFAULTS, GAME_SPEEDS, sanitize };
@@ -0,0 +1,135 @@
+// Share cards: a PNG of a stored score for link previews (/share/:scoreId.png) and the
+// landing page (/s/:scoreId) whose Open Graph / X card tags point at it.
+const path = require('path');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const { catalog } = require('./catalog');
+
+// 1.91:1, what X's summary_large_image and Open Graph previews expect
+const WIDTH = 1200;
+const HEIGHT = 630;
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const FONT = "'Courier New', 'DejaVu Sans Mono', monospace";
+// Avatars come from X; a slow or missing one just leaves the circle empty
+const AVATAR_TIMEOUT_MS = 3000;
+
+async function loadAvatar(url) {
+    if (!url) return null;
+    try {
+        const res = await fetch(url, { signal: AbortSignal.timeout(AVATAR_TIMEOUT_MS) });
+        if (!res.ok) return null;
+        return await loadImage(Buffer.from(await res.arrayBuffer()));
+    } catch (err) {
+        return null;
+    }
+}
+
+// Only catalog images are read from disk, so a stored name can't point anywhere else
+function loadItemImage(name) {
+    const item = catalog.items.find(i => i.name === name && !i.icon);
+    return item ? loadImage(path.join(PUBLIC_DIR, item.name)).catch(() => null) : null;
+}
+
+// Draws `img` over the whole area, cropped to keep its aspect ratio
+function drawCover(ctx, img, w, h) {
+    const scale = Math.max(w / img.width, h / img.height);
+    const dw = img.width * scale; const dh = img.height * scale;
+    ctx.drawImage(img, (w - dw) / 2, (h - dh) / 2, dw, dh);
+}
+
+// score: { username, photoUrl, score, deathSource }, rank: all-time place or null. Resolves to a PNG buffer.
+async function renderCard(score, rank) {
+    const canvas = createCanvas(WIDTH, HEIGHT);
+    const ctx = canvas.getContext('2d');
+    const [bg, avatar, killer] = await Promise.all([
+        loadImage(path.join(PUBLIC_DIR, 'share-bg.png')).catch(() => null),
+        loadAvatar(score.photoUrl),
+        loadItemImage(score.deathSource)
+    ]);
+
+    if (bg) drawCover(ctx, bg, WIDTH, HEIGHT); else { ctx.fillStyle = '#222'; ctx.fillRect(0, 0, WIDTH, HEIGHT); }
+    const grad = ctx.createLinearGradient(0, 0, WIDTH, 0);
+    grad.addColorStop(0, 'rgba(0,0,0,0.9)');
+    grad.addColorStop(1, 'rgba(0,0,0,0.4)');
+    ctx.fillStyle = grad;
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+    ctx.shadowColor = 'rgba(0,0,0,0.8)'; ctx.shadowBlur = 10; ctx.shadowOffsetX = 4; ctx.shadowOffsetY = 4;
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#fff';
+    ctx.font = `900 56px ${FONT}`;
+    ctx.fillText("PROPER'S: TIE DROP", 60, 100);
+
+    // Avatar and handle
+    ctx.save();
+    ctx.beginPath(); ctx.arc(130, 230, 70, 0, Math.PI * 2); ctx.closePath();
+    ctx.fillStyle = '#444'; ctx.fill();
+    if (avatar) { ctx.clip(); ctx.shadowColor = 'transparent'; ctx.drawImage(avatar, 60, 160, 140, 140); }
+    ctx.restore();
+    ctx.fillStyle = '#fff';
+    ctx.font = `900 48px ${FONT}`;
+    ctx.fillText(`@${score.username}`, 230, 246);
+
+    ctx.fillStyle = '#f1c40f';
+    ctx.font = `900 150px ${FONT}`;
+    ctx.fillText(String(score.score), 60, 460);
+    ctx.fillStyle = '#fff';
+    ctx.font = `900 44px ${FONT}`;
+    ctx.fillText(rank ? `POINTS · #${rank} ALL-TIME` : 'POINTS', 66, 530);
+
+    if (killer) {
+        ctx.save();
+        ctx.shadowColor = 'transparent';
+        ctx.fillStyle = 'rgba(0,0,0,0.6)'; ctx.strokeStyle = '#e74c3c'; ctx.lineWidth = 4;
+        ctx.fillRect(880, 190, 260, 300); ctx.strokeRect(880, 190, 260, 300);
+        ctx.restore();
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#e74c3c';
+        ctx.font = `900 28px ${FONT}`;
+        ctx.fillText('ELIMINATED BY', 1010, 230);
+        const size = 200;
+        const scale = size / Math.max(killer.width, killer.height);
+        ctx.drawImage(killer, 1010 - (killer.width * scale) / 2, 260, killer.width * scale, killer.height * scale);
+    }
+
+    return canvas.encode('png');
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// The /s/:scoreId page. Crawlers read the card tags; people are sent on to the game.
+function landingPage(score, baseUrl) {
+    const title = escapeHtml(`@${score.username} scored ${score.score} in Proper's: Tie Drop`);
+    const description = 'Catch the ties, dodge the bombs. Can you beat it?';
+    const image = escapeHtml(`${baseUrl}/share/${score.id}.png`);
+    const url = escapeHtml(`${baseUrl}/s/${score.id}`);
+    const game = escapeHtml(`${baseUrl}/`);
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${title}</title>
+<meta name="description" content="${description}">
+<meta property="og:type" content="website">
+<meta property="og:title" content="${title}">
+<meta property="og:description" content="${description}">
+<meta property="og:image" content="${image}">
+<meta property="og:image:width" content="${WIDTH}">
+<meta property="og:image:height" content="${HEIGHT}">
+<meta property="og:url" content="${url}">
+<meta name="twitter:card" content="summary_large_image">
+<meta name="twitter:title" content="${title}">
+<meta name="twitter:description" content="${description}">
+<meta name="twitter:image" content="${image}">
+<meta http-equiv="refresh" content="3; url=${game}">
+<style>body { background: #111; color: #fff; font-family: 'Courier New', monospace; text-align: center; padding: 20px; } img { max-width: 100%; } a { color: #f1c40f; font-size: 24px; font-weight: bold; }</style>
+</head>
+<body>
+<img src="${image}" alt="${title}" width="${WIDTH / 2}" height="${HEIGHT / 2}">
+<p><a href="${game}">PLAY TIE DROP</a></p>
+</body>
+</html>`;
+}
+
+module.exports = { WIDTH, HEIGHT, renderCard, landingPage };
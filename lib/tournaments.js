@@ -0,0 +1,82 @@
+// Tournaments: ad-hoc events an admin schedules for a fixed window. Each player gets a set
+// number of attempts, started like daily challenge runs, and their best verified score goes
+// on the tournament's own board rather than the leaderboard.
+const Runs = require('./runs');
+
+const MAX_NAME_LENGTH = 40;
+const MAX_ATTEMPTS = 100;
+const MAX_LENGTH_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Runs started before the end can still be submitted for this long, and results are
+// announced once it has passed
+const GRACE_MS = 15 * 60 * 1000;
+// Ended tournaments stay listed (and are still closed if the server was down) for this long
+const RECENT_DAYS = 14;
+
+// An admin's { name, startsAt, endsAt, maxAttempts } -> { tournament } or { error }
+function parseSchedule(body, now = new Date()) {
+    const source = body && typeof body === 'object' ? body : {};
+    const name = typeof source.name === 'string' ? source.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) return { error: `Give the tournament a name of up to ${MAX_NAME_LENGTH} characters.` };
+
+    const startsAt = new Date(source.startsAt);
+    const endsAt = new Date(source.endsAt);
+    if (typeof source.startsAt !== 'string' || typeof source.endsAt !== 'string' || isNaN(startsAt) || isNaN(endsAt)) {
+        return { error: 'Start and end need to be dates.' };
+    }
+    if (endsAt <= startsAt) return { error: 'The tournament has to end after it starts.' };
+    if (endsAt <= now) return { error: 'That window is already over.' };
+    if (endsAt - startsAt > MAX_LENGTH_DAYS * DAY_MS) return { error: `Tournaments can last up to ${MAX_LENGTH_DAYS} days.` };
+
+    const maxAttempts = Number(source.maxAttempts);
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_ATTEMPTS) {
+        return { error: `Attempts per player must be a whole number from 1 to ${MAX_ATTEMPTS}.` };
+    }
+    return { tournament: { name, startsAt, endsAt, maxAttempts } };
+}
+
+function status(tournament, now = new Date()) {
+    if (now < tournament.startsAt) return 'upcoming';
+    return now < tournament.endsAt ? 'active' : 'ended';
+}
+
+// What /api/tournaments shows, with the player's entry ({ attempts, bestScore }) if they have one
+function describe(tournament, entry, now = new Date()) {
+    const { id, name, startsAt, endsAt, maxAttempts } = tournament;
+    return {
+        id: String(id), name, startsAt, endsAt, maxAttempts,
+        status: status(tournament, now),
+        attempts: entry ? entry.attempts : 0,
+        bestScore: entry ? entry.bestScore : null
+    };
+}
+
+// A run ticket for one attempt. Runs.verifyRun replays it as usual; the score goes to the
+// tournament if it arrives before closesAt.
+function issueRun(tournament) {
+    return { ...Runs.issueRun(), tournament: String(tournament.id), closesAt: tournament.endsAt.getTime() + GRACE_MS };
+}
+
+function createTournaments({ storage }) {
+    return {
+        // Upcoming, running and recently ended tournaments, soonest first
+        recent(now = new Date()) {
+            return storage.listTournaments({ since: new Date(now - RECENT_DAYS * DAY_MS) });
+        },
+
+        // Closes tournaments whose grace period is over. Resolves to [{ tournament, standings }]
+        // (the top 3) for each one this call closed, for the caller to announce.
+        async closeEnded(now = new Date()) {
+            const closed = [];
+            for (const tournament of await this.recent(now)) {
+                if (tournament.closedAt || now - tournament.endsAt < GRACE_MS) continue;
+                if (!await storage.closeTournament(tournament.id)) continue;
+                const standings = await storage.getTournamentLeaderboard(tournament.id, { limit: 3 });
+                closed.push({ tournament, standings });
+            }
+            return closed;
+        }
+    };
+}
+
+module.exports = { GRACE_MS, MAX_ATTEMPTS, parseSchedule, status, describe, issueRun, createTournaments };
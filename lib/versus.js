@@ -0,0 +1,180 @@
+// Head-to-head versus matches over Socket.IO. Both players get the same seed and each
+// run is re-simulated on the server, exactly like a leaderboard submission, before the
+// result counts. Live positions are only relayed for the opponent's ghost and never trusted.
+const crypto = require('crypto');
+const Runs = require('./runs');
+
+// Room codes skip 0/O and 1/I so they can be read out to a friend
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+// Time between both players hearing about the match and the first frame
+const COUNTDOWN_MS = 3000;
+
+function makeCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    return code;
+}
+
+// A player who left or whose run failed verification loses to one who finished; otherwise
+// the higher score wins. Returns the winning player, or null for a draw.
+function decideWinner([a, b]) {
+    if (a.forfeit !== b.forfeit) return a.forfeit ? b : a;
+    if (a.forfeit || a.score === b.score) return null;
+    return a.score > b.score ? a : b;
+}
+
+// onResult(result) is called once a finished match has been stored
+function createVersus({ io, storage, onResult }) {
+    let waiting = null;          // socket queued for a random opponent
+    const lobbies = new Map();   // room code -> socket of the player who created it
+    const matches = new Map();   // match id -> match in progress
+
+    function playerIn(match, socket) {
+        return match && match.players.find(p => p.socket === socket);
+    }
+
+    function start(first, second) {
+        const id = crypto.randomBytes(8).toString('hex');
+        const { seed } = Runs.issueRun();
+        const match = {
+            id: id,
+            room: `versus:${id}`,
+            seed: seed,
+            players: [first, second].map(socket => ({
+                socket: socket, user: socket.data.versusUser, run: Runs.issueRun(seed),
+                score: 0, done: false, forfeit: false
+            }))
+        };
+        matches.set(id, match);
+
+        match.players.forEach((player, i) => {
+            const opponent = match.players[1 - i].user;
+            player.socket.data.matchId = id;
+            player.socket.join(match.room);
+            player.socket.emit('versus start', {
+                matchId: id,
+                seed: seed,
+                token: player.run.token,
+                startsIn: COUNTDOWN_MS,
+                opponent: { username: opponent.username, photoUrl: opponent.photoUrl }
+            });
+        });
+    }
+
+    async function finishMatch(match) {
+        matches.delete(match.id);
+        const [a, b] = match.players;
+        const winner = decideWinner(match.players);
+        const result = {
+            matchId: match.id,
+            winner: winner ? winner.user.username : null,
+            players: match.players.map(p => ({ username: p.user.username, score: p.score, forfeit: p.forfeit }))
+        };
+
+        io.to(match.room).emit('versus result', result);
+        match.players.forEach(p => {
+            p.socket.leave(match.room);
+            // A player who forfeited may already be in their next match
+            if (p.socket.data.matchId === match.id) p.socket.data.matchId = null;
+        });
+
+        if (a.forfeit && b.forfeit) return; // Nobody finished; nothing to record
+        await storage.addMatch({
+            player1Id: a.user.twitterId, score1: a.score,
+            player2Id: b.user.twitterId, score2: b.score,
+            winnerId: winner ? winner.user.twitterId : null,
+            seed: match.seed
+        });
+        await onResult(result);
+    }
+
+    // Marks a player's run as over and settles the match once both are
+    async function endRun(match, player, score, forfeit) {
+        player.done = true;
+        player.score = score;
+        player.forfeit = forfeit;
+        player.socket.to(match.room).emit('versus opponent done', { score: score, forfeit: forfeit });
+        if (match.players.every(p => p.done)) await finishMatch(match);
+    }
+
+    // Takes the socket out of the queue, its lobby and any match it is playing (as a forfeit)
+    async function leave(socket) {
+        if (waiting === socket) waiting = null;
+        lobbies.forEach((host, code) => {
+            if (host === socket) lobbies.delete(code);
+        });
+
+        const match = matches.get(socket.data.matchId);
+        const player = playerIn(match, socket);
+        socket.data.matchId = null;
+        if (!player) return;
+        socket.leave(match.room);
+        if (!player.done) await endRun(match, player, player.score, true);
+    }
+
+    return {
+        // Pairs the player with whoever is already waiting, or makes them the one waiting
+        async queue(socket, user) {
+            await leave(socket);
+            socket.data.versusUser = user;
+            if (waiting && waiting.connected && waiting.data.versusUser.twitterId !== user.twitterId) {
+                const opponent = waiting;
+                waiting = null;
+                return start(opponent, socket);
+            }
+            if (waiting && waiting.connected) waiting.emit('versus error', { error: 'You started looking for a match in another tab.' });
+            waiting = socket;
+            socket.emit('versus waiting', { code: null });
+        },
+
+        // Opens a private room; the code is what a friend types to join
+        async host(socket, user) {
+            await leave(socket);
+            socket.data.versusUser = user;
+            let code;
+            do { code = makeCode(); } while (lobbies.has(code));
+            lobbies.set(code, socket);
+            socket.emit('versus waiting', { code: code });
+        },
+
+        async join(socket, user, rawCode) {
+            const code = typeof rawCode === 'string' ? rawCode.trim().toUpperCase() : '';
+            const host = lobbies.get(code);
+            if (!host || !host.connected) return socket.emit('versus error', { error: `No open room with code ${code || '(blank)'}.` });
+            if (host.data.versusUser.twitterId === user.twitterId) return socket.emit('versus error', { error: "You can't play against yourself." });
+
+            await leave(socket);
+            lobbies.delete(code);
+            socket.data.versusUser = user;
+            start(host, socket);
+        },
+
+        // Live position for the opponent's ghost; purely cosmetic
+        update(socket, data) {
+            const match = matches.get(socket.data.matchId);
+            if (!match || !data) return;
+            const x = Number(data.x); const score = Number(data.score);
+            if (!Number.isFinite(x) || !Number.isFinite(score)) return;
+            socket.to(match.room).emit('versus opponent', { x: x, score: score });
+        },
+
+        // The player died; their submission is verified like a leaderboard score
+        async finish(socket, submission) {
+            const match = matches.get(socket.data.matchId);
+            const player = playerIn(match, socket);
+            if (!player || player.done) return;
+
+            const verdict = Runs.verifyRun(player.run, submission);
+            if (verdict.error) {
+                console.warn(`Rejected versus run from @${player.user.username}: ${verdict.error}`);
+                return endRun(match, player, 0, true);
+            }
+            return endRun(match, player, verdict.score, false);
+        },
+
+        leave: leave
+    };
+}
+
+module.exports = { createVersus };
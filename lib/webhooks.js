@@ -0,0 +1,254 @@
+// Outbound webhooks (config/webhooks.json, or the file WEBHOOKS_FILE names): leaderboard
+// events posted as JSON to Discord, Slack or any other receiver. Events are written to the
+// webhook_deliveries table and sent from there by a background loop, so a slow or broken
+// endpoint never holds up the request that caused the event, and nothing queued is lost
+// on a restart.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const WEBHOOKS_FILE = process.env.WEBHOOKS_FILE || path.join(__dirname, '..', 'config', 'webhooks.json');
+
+const EVENTS = ['new-first', 'top3', 'season-end', 'tournament-end', 'player-milestone'];
+// Player counts that fire player-milestone; past the last one, every multiple of it does
+const PLAYER_MILESTONES = [10, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+const POLL_MS = 5000;          // How often the queue is checked for deliveries that are due
+const BATCH_SIZE = 20;
+const TIMEOUT_MS = 10000;      // A receiver that takes longer counts as failed
+const LEASE_MS = 60 * 1000;    // A claimed delivery is left alone by other servers for this long
+const MAX_ATTEMPTS = 8;        // Backoff doubles from 30s, so the last try is about an hour in
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const KEEP_DAYS = 7;           // Delivered and failed deliveries are kept this long for the admin page
+
+// Example data for each event, sent by the test endpoint
+const SAMPLE_PLAYER = { username: 'tiedrop', profileUrl: 'https://twitter.com/tiedrop', photoUrl: 'https://example.com/avatar.png' };
+const SAMPLES = {
+    'new-first': { player: SAMPLE_PLAYER, score: 1230, rank: 1, board: 'Season 1', link: 'https://example.com/s/1', text: '👑 @tiedrop just took #1 place in Season 1 with 1230 points!' },
+    'top3': { player: SAMPLE_PLAYER, score: 980, rank: 3, board: 'Season 1', link: 'https://example.com/s/1', text: '👑 @tiedrop just took #3 place in Season 1 with 980 points!' },
+    'season-end': {
+        season: { id: 'season-1', name: 'Season 1', startsAt: '2026-10-01T00:00:00.000Z', endsAt: '2027-01-01T00:00:00.000Z' },
+        winner: { ...SAMPLE_PLAYER, score: 1230 },
+        standings: [{ rank: 1, username: 'tiedrop', score: 1230 }, { rank: 2, username: 'runnerup', score: 990 }],
+        text: '🏆 Season 1 is over! @tiedrop wins with 1230 points.'
+    },
+    'tournament-end': {
+        tournament: { id: '1', name: 'Friday Cup', startsAt: '2026-10-16T18:00:00.000Z', endsAt: '2026-10-16T20:00:00.000Z' },
+        winner: { ...SAMPLE_PLAYER, score: 640 },
+        standings: [{ rank: 1, username: 'tiedrop', score: 640 }],
+        text: '🎯 Friday Cup is over! @tiedrop wins with 640 points.'
+    },
+    'player-milestone': { players: 100, player: SAMPLE_PLAYER, text: '🎉 @tiedrop is player number 100!' }
+};
+
+// The public part of a user or leaderboard row, as events show players
+function player(user) {
+    return { username: user.username, profileUrl: user.profileUrl, photoUrl: user.photoUrl };
+}
+
+function isPlayerMilestone(count) {
+    const last = PLAYER_MILESTONES[PLAYER_MILESTONES.length - 1];
+    return PLAYER_MILESTONES.includes(count) || (count > last && count % last === 0);
+}
+
+// Checks the file's { webhooks: [{ id, url, events, template }] }. events lists EVENTS
+// names or "*" for all of them; template is optional (see render).
+function loadHooks(data) {
+    if (!data || !Array.isArray(data.webhooks)) throw new Error('Webhooks file needs a webhooks list.');
+    return data.webhooks.map((hook, i) => {
+        if (typeof hook.id !== 'string' || !hook.id) throw new Error(`Webhook ${i + 1} needs an id.`);
+        if (data.webhooks.findIndex(other => other.id === hook.id) !== i) throw new Error(`Webhook id ${hook.id} is used twice.`);
+        if (typeof hook.url !== 'string' || !/^https?:\/\//.test(hook.url)) throw new Error(`Webhook ${hook.id} needs an http(s) url.`);
+        if (!Array.isArray(hook.events) || !hook.events.length) throw new Error(`Webhook ${hook.id} needs a list of events.`);
+        hook.events.forEach(event => {
+            if (event !== '*' && !EVENTS.includes(event)) throw new Error(`Webhook ${hook.id} has unknown event "${event}".`);
+        });
+        if ('template' in hook && (!hook.template || typeof hook.template !== 'object')) throw new Error(`Webhook ${hook.id} has a template that isn't a JSON object.`);
+        return { id: hook.id, url: hook.url, events: hook.events, template: hook.template || null };
+    });
+}
+
+// No file means no webhooks; a broken one stops the server like a broken item catalog does
+function readHooks() {
+    if (!fs.existsSync(WEBHOOKS_FILE)) return [];
+    return loadHooks(JSON.parse(fs.readFileSync(WEBHOOKS_FILE, 'utf8')));
+}
+
+function lookup(context, key) {
+    return key.split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), context);
+}
+
+// Fills {{path}} placeholders (e.g. {{text}}, {{player.username}}) in every string of a
+// template with values from the event. A string that is nothing but one placeholder takes
+// the value as it is, so numbers and objects keep their type; missing values come out empty.
+function render(template, context) {
+    if (typeof template === 'string') {
+        const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+        if (whole) {
+            const value = lookup(context, whole[1]);
+            return value === undefined ? null : value;
+        }
+        return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+            const value = lookup(context, key);
+            if (value === undefined || value === null) return '';
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        });
+    }
+    if (Array.isArray(template)) return template.map(item => render(item, context));
+    if (template && typeof template === 'object') {
+        const out = {};
+        Object.keys(template).forEach(key => { out[key] = render(template[key], context); });
+        return out;
+    }
+    return template;
+}
+
+// The request body for a hook: its template filled in, or the event itself without one
+function bodyFor(hook, event) {
+    return JSON.stringify(hook && hook.template ? render(hook.template, event) : event);
+}
+
+// Receivers check X-Tie-Drop-Signature against an HMAC of "<timestamp>.<body>" and can refuse
+// old timestamps, so a captured request can't be replayed later
+function sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Posts one delivery. Resolves to { ok, status, retryAfterMs, error, response }; never rejects.
+async function post(url, delivery, secret) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'TieDrop-Webhooks',
+        'X-Tie-Drop-Event': delivery.event,
+        'X-Tie-Drop-Delivery': String(delivery.id),
+        'X-Tie-Drop-Timestamp': String(timestamp)
+    };
+    if (secret) headers['X-Tie-Drop-Signature'] = sign(secret, timestamp, delivery.payload);
+    try {
+        const res = await fetch(url, { method: 'POST', headers: headers, body: delivery.payload, signal: AbortSignal.timeout(TIMEOUT_MS) });
+        const response = (await res.text().catch(() => '')).slice(0, 500);
+        const retryAfter = parseFloat(res.headers.get('retry-after'));
+        return { ok: res.ok, status: res.status, retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : 0, error: res.ok ? null : `HTTP ${res.status}`, response };
+    } catch (err) {
+        // fetch's own message is just "fetch failed"; the cause says why (ECONNREFUSED, ENOTFOUND...)
+        const reason = err.name === 'TimeoutError' ? 'Timed out' : (err.cause && err.cause.code) || err.message;
+        return { ok: false, status: 0, retryAfterMs: 0, error: reason, response: null };
+    }
+}
+
+function backoff(attempts) {
+    return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+}
+
+// How long to wait after a failed post() before trying again, or null to give up: after
+// MAX_ATTEMPTS, or on a 4xx answer other than 408 and 429, which won't change by asking again
+function retryDelay(result, attempts) {
+    const permanent = result.status >= 400 && result.status < 500 && result.status !== 408 && result.status !== 429;
+    if (permanent || attempts >= MAX_ATTEMPTS) return null;
+    return Math.max(result.retryAfterMs, backoff(attempts));
+}
+
+// hooks: the loaded webhooks (readHooks() by default); secret signs every request and comes
+// from WEBHOOK_SECRET. Without one, requests go out unsigned.
+function createWebhooks({ storage, hooks = readHooks(), secret = process.env.WEBHOOK_SECRET || null }) {
+    let delivering = false;
+
+    // Sends one claimed delivery and records how it went
+    async function attempt(delivery) {
+        const hook = hooks.find(h => h.id === delivery.hookId);
+        if (!hook) {
+            return storage.updateWebhookDelivery(delivery.id, { status: 'failed', attempts: delivery.attempts, lastError: 'Webhook is no longer configured' });
+        }
+        const attempts = delivery.attempts + 1;
+        const result = await post(hook.url, delivery, secret);
+        if (result.ok) {
+            return storage.updateWebhookDelivery(delivery.id, { status: 'delivered', attempts: attempts, lastError: null });
+        }
+        const delay = retryDelay(result, attempts);
+        if (delay === null) {
+            console.warn(`Webhook ${hook.id} gave up on delivery ${delivery.id}: ${result.error}`);
+            return storage.updateWebhookDelivery(delivery.id, { status: 'failed', attempts: attempts, lastError: result.error });
+        }
+        return storage.updateWebhookDelivery(delivery.id, {
+            status: 'pending', attempts: attempts, nextAttemptAt: new Date(Date.now() + delay), lastError: result.error
+        });
+    }
+
+    return {
+        hooks,
+        signed: !!secret,
+
+        // Queues an event for every hook subscribed to it and starts sending. Never rejects:
+        // whatever caused the event has already happened, so a failure is only logged.
+        async emit(event, data) {
+            const payload = { event: event, timestamp: new Date().toISOString(), ...data };
+            const subscribed = hooks.filter(hook => hook.events.includes('*') || hook.events.includes(event));
+            for (const hook of subscribed) {
+                try {
+                    await storage.addWebhookDelivery({ hookId: hook.id, event: event, payload: bodyFor(hook, payload) });
+                } catch (err) {
+                    console.error(`Queueing ${event} for webhook ${hook.id} failed:`, err);
+                }
+            }
+            if (subscribed.length) setImmediate(() => this.deliverDue());
+        },
+
+        // Sends whatever is due. Each delivery is claimed first, so servers sharing a
+        // database don't send the same one twice; one that is claimed and never finished
+        // (the server died mid-send) is retried when the claim runs out.
+        async deliverDue() {
+            if (delivering) return;
+            delivering = true;
+            try {
+                const now = new Date();
+                const due = await storage.getDueWebhookDeliveries(now, BATCH_SIZE);
+                await Promise.all(due.map(async delivery => {
+                    if (!await storage.claimWebhookDelivery(delivery.id, now, new Date(now.getTime() + LEASE_MS))) return;
+                    await attempt(delivery);
+                }));
+            } catch (err) {
+                console.error('Webhook delivery failed:', err);
+            } finally {
+                delivering = false;
+            }
+        },
+
+        async prune() {
+            try {
+                await storage.pruneWebhookDeliveries(new Date(Date.now() - KEEP_DAYS * 24 * 60 * 60 * 1000));
+            } catch (err) {
+                console.error('Webhook pruning failed:', err);
+            }
+        },
+
+        // Sends a sample event right away, outside the queue, and reports what the receiver
+        // said. { hook } uses that hook's URL and template; { url } sends somewhere else
+        // instead, such as a local receiver. Returns { delivered, status, reason, response,
+        // payload, ... } or { error } for a request that can't be sent.
+        async test({ hook: hookId, url, event = 'new-first' } = {}) {
+            const hook = hookId ? hooks.find(h => h.id === hookId) : null;
+            if (hookId && !hook) return { error: `No webhook called "${hookId}".` };
+            const target = url || (hook && hook.url);
+            if (!target) return { error: 'Give a webhook id or a URL to send to.' };
+            if (typeof target !== 'string' || !/^https?:\/\//.test(target)) return { error: 'The URL must start with http:// or https://.' };
+            if (!SAMPLES[event]) return { error: `Unknown event "${event}". Events: ${EVENTS.join(', ')}` };
+
+            const payload = bodyFor(hook, { event: event, timestamp: new Date().toISOString(), test: true, ...SAMPLES[event] });
+            const result = await post(target, { id: `test-${crypto.randomUUID()}`, event: event, payload: payload }, secret);
+            return {
+                url: target, event: event, signed: !!secret, delivered: result.ok, status: result.status,
+                reason: result.error, response: result.response, payload: JSON.parse(payload)
+            };
+        },
+
+        // Configured hooks for the admin page: only the receiver's host, since Discord and
+        // Slack put the credentials in the URL
+        describe() {
+            return hooks.map(hook => ({ id: hook.id, host: new URL(hook.url).host, events: hook.events, template: !!hook.template }));
+        }
+    };
+}
+
+module.exports = { EVENTS, POLL_MS, MAX_ATTEMPTS, player, isPlayerMilestone, loadHooks, render, sign, retryDelay, createWebhooks };
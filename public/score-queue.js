@@ -0,0 +1,79 @@
+/* SCORE QUEUE
+ * Finished runs waiting to be sent to /api/score, kept in IndexedDB so a run that ends
+ * while offline (or while the server is unreachable) isn't lost. The page (window.ScoreQueue)
+ * and the service worker (importScripts) share it: the worker sends the queue on Background
+ * Sync, and the page on reconnect where Background Sync isn't supported.
+ */
+(function (root) {
+    const DB_NAME = 'tie-drop';
+    const STORE = 'scores';
+    const SYNC_TAG = 'submit-scores';
+    // Answers that mean the run can never be accepted: it failed verification (400), the account
+    // is banned (403), the run was already used up (409) or it is too big to ever be taken (413).
+    // Anything else, like being logged out (401), may change, so the run stays queued.
+    const REJECTED = [400, 403, 409, 413];
+
+    function open() {
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, 1);
+            req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'token' });
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    // Runs fn(store) in a transaction and resolves to the result of the request it returns
+    function transact(mode, fn) {
+        return open().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const req = fn(tx.objectStore(STORE));
+            tx.oncomplete = () => { db.close(); resolve(req ? req.result : undefined); };
+            tx.onerror = tx.onabort = () => { db.close(); reject(tx.error); };
+        }));
+    }
+
+    // submission: as built by runSubmission() in index.html; its run token identifies it
+    function add(submission) {
+        return transact('readwrite', store => store.put({ token: submission.token, submission: submission, queuedAt: Date.now() }));
+    }
+
+    function remove(token) {
+        return transact('readwrite', store => store.delete(token));
+    }
+
+    function all() {
+        return transact('readonly', store => store.getAll());
+    }
+
+    // Posts one submission. Resolves to { status, data } once the server has answered for good:
+    // stored, a repeat of one already stored, or rejected (see REJECTED; it is dropped too).
+    // Rejects otherwise, leaving it queued to try again; the error has the status, if any.
+    // A 401 is retried once the player has logged in again.
+    function send(submission) {
+        return fetch('/api/score', {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(submission)
+        })
+            .then(res => res.json().catch(() => ({})).then(data => ({ status: res.status, data: data })))
+            .then(result => {
+                if (result.status >= 300 && !REJECTED.includes(result.status)) {
+                    throw Object.assign(new Error(result.data.error || `Server answered ${result.status}`), { status: result.status });
+                }
+                return remove(submission.token).catch(() => {}).then(() => result);
+            });
+    }
+
+    // Sends everything queued, oldest first, calling onResult(result) for each answer.
+    // Stops at the first failure and rejects with it.
+    function flush(onResult) {
+        return all().then(entries => entries
+            .sort((a, b) => a.queuedAt - b.queuedAt)
+            .reduce((chain, entry) => chain
+                .then(() => send(entry.submission))
+                .then(result => { if (onResult) onResult(result); }), Promise.resolve()));
+    }
+
+    root.ScoreQueue = { SYNC_TAG, add, remove, all, send, flush };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,296 @@
+/* TIE DROP SIMULATION
+ * The deterministic game core, shared by the browser (window.TieSim) and the
+ * server (require('./public/sim')) so a run can be re-simulated headlessly from
+ * its seed and input log. Nothing in here may touch Math.random, Date or the DOM.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.TieSim = factory();
+})(this, function () {
+    // Bump whenever a change here would make old input logs play back differently.
+    // Changes to the item catalog are tracked by the catalog's own version.
+    const VERSION = 2;
+
+    const GAME_W = 768; const GAME_H = 1344;
+    const CHAR_W = 174; const CHAR_H = 395;
+    const BASKET_W = 135; const BASKET_H = 90;
+    const CHAR_Y = GAME_H - 58 - CHAR_H;
+    const BASKET_Y = GAME_H - 165 - BASKET_H;
+    const MAX_SPEED = 9; const ACCEL = 0.8; const FRICTION = 0.90;
+    // Steps per second of play. Every speed and timer here is per step, so the browser
+    // steps at this fixed rate whatever the display's refresh rate.
+    const FPS = 60;
+
+    // Input bits recorded once per frame
+    const INPUT_LEFT = 1; const INPUT_RIGHT = 2;
+    // Analog input (gamepad stick, drag-to-follow): INPUT_ANALOG plus a strength from
+    // -ANALOG_STEPS to ANALOG_STEPS, stored from bit 3 up offset by ANALOG_STEPS. The steps
+    // keep the input log from changing every frame as the stick wobbles.
+    const INPUT_ANALOG = 4; const ANALOG_STEPS = 8;
+
+    // Effects a catalog power-up can grant, each lasting its item's duration in frames
+    const EFFECTS = ['shield', 'magnet', 'slowmo', 'multiplier'];
+    const MAGNET_PULL = 6;       // px per frame good items drift toward the basket
+    const SLOWMO_FACTOR = 0.5;   // fall speed while slow-motion is active
+    const COMBO_STEP = 10;       // consecutive catches for each extra combo multiplier
+    const COMBO_MAX = 5;
+
+    // Daily challenge modifiers by id. A run without one plays exactly as before.
+    const MODIFIERS = {
+        'fast-hazards': { hazardSpeed: 1.6 },   // hazards fall this much faster
+        'no-tens': { excludeScore: 10 },        // items worth this many points never spawn
+        'reversed': { reversed: true }          // left moves right and right moves left
+    };
+
+    function isPositive(value) {
+        return typeof value === 'number' && value > 0 && isFinite(value);
+    }
+
+    // Turns the item catalog (config/items.json, served at /api/items) into the form the
+    // simulation uses. Throws if the catalog can't be played with.
+    function loadCatalog(data) {
+        if (!data || !Number.isInteger(data.version)) throw new Error('Item catalog needs an integer version.');
+        if (!Array.isArray(data.categories) || !Array.isArray(data.items)) throw new Error('Item catalog needs categories and items lists.');
+
+        const categories = {};
+        data.categories.forEach(c => { categories[c.id] = c; });
+        const items = data.items.map(item => {
+            if (!item.name || typeof item.name !== 'string') throw new Error('Every catalog item needs a name.');
+            if (!categories[item.category]) throw new Error(`Item ${item.name} has unknown category "${item.category}".`);
+            if (!Number.isInteger(item.score) || item.score < 0) throw new Error(`Item ${item.name} needs a non-negative integer score.`);
+            if ('weight' in item && !isPositive(item.weight)) throw new Error(`Item ${item.name} has a bad weight.`);
+            if ('speed' in item && !isPositive(item.speed)) throw new Error(`Item ${item.name} has a bad speed multiplier.`);
+            if (item.effect) {
+                if (!EFFECTS.includes(item.effect)) throw new Error(`Item ${item.name} has unknown effect "${item.effect}".`);
+                if (!Number.isInteger(item.duration) || item.duration < 1) throw new Error(`Item ${item.name} needs a duration in frames.`);
+                if (item.effect === 'multiplier' && (!Number.isInteger(item.factor) || item.factor < 1)) throw new Error(`Item ${item.name} needs an integer factor.`);
+            }
+            return {
+                name: item.name, score: item.score, category: item.category, isBad: !!categories[item.category].bad,
+                weight: item.weight || 1, speed: item.speed || 1, glow: item.glow || null, sound: item.sound || null,
+                icon: item.icon || null, label: item.label || null,
+                effect: item.effect || null, duration: item.duration || 0, factor: item.factor || 1
+            };
+        // Sorted so the spawn pools index identically everywhere, whatever order the file lists them in
+        }).sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+        const hazards = items.filter(i => i.isBad);
+        const goodItems = items.filter(i => !i.isBad);
+        if (!hazards.length || !goodItems.length) throw new Error('Item catalog needs at least one hazard and one good item.');
+
+        return {
+            version: data.version,
+            categories: data.categories,
+            glows: data.glows || {},
+            items: items,
+            hazards: hazards,
+            goodItems: goodItems,
+            // Good categories are rolled for in catalog order by their chance; the last takes whatever is left
+            tiers: data.categories.filter(c => !c.bad).map(c => ({ chance: c.chance || 0, items: goodItems.filter(i => i.category === c.id) }))
+        };
+    }
+
+    // mulberry32: 32-bit state, integer-only math, identical on every engine
+    function createRng(seed) {
+        let a = seed | 0;
+        return function() {
+            a = (a + 0x6D2B79F5) | 0;
+            let t = Math.imul(a ^ (a >>> 15), a | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // The catalog without good items worth `score` points. Categories left empty are dropped
+    // and the remaining chances scaled back up to the same total.
+    function withoutScore(catalog, score) {
+        const goodItems = catalog.goodItems.filter(i => i.score !== score);
+        if (!goodItems.length) throw new Error(`Removing ${score} point items leaves nothing to catch.`);
+        const tiers = catalog.tiers
+            .map(t => ({ chance: t.chance, items: t.items.filter(i => i.score !== score) }))
+            .filter(t => t.items.length);
+        const total = tiers.reduce((sum, t) => sum + t.chance, 0);
+        const scale = total > 0 ? catalog.tiers.reduce((sum, t) => sum + t.chance, 0) / total : 1;
+        return Object.assign({}, catalog, {
+            goodItems: goodItems,
+            tiers: tiers.map(t => ({ chance: t.chance * scale, items: t.items }))
+        });
+    }
+
+    // modifier: a MODIFIERS id for daily challenge runs, or null
+    function createRun(seed, catalog, modifier) {
+        const rules = modifier ? MODIFIERS[modifier] : null;
+        if (modifier && !rules) throw new Error(`Unknown modifier "${modifier}".`);
+        if (rules && rules.excludeScore !== undefined) catalog = withoutScore(catalog, rules.excludeScore);
+        return {
+            seed: seed >>> 0, rng: createRng(seed), catalog: catalog, frames: 0, score: 0,
+            modifier: modifier || null, rules: rules || {},
+            playerX: GAME_W / 2, playerVX: 0, items: [],
+            inputs: [], lastInput: 0, dead: false, deathSource: null,
+            combo: 0, bestCombo: 0, effects: {}, scoreFactor: 1,
+            // Catches per catalog category and power-ups collected, for achievements and profiles
+            stats: { catches: {}, powerups: 0 }
+        };
+    }
+
+    // Points multiplier for the current run of consecutive catches
+    function comboMultiplier(combo) {
+        return Math.min(1 + Math.floor(combo / COMBO_STEP), COMBO_MAX);
+    }
+
+    // Weighted pick; with equal weights it picks exactly like pool[Math.floor(rng() * pool.length)]
+    function pickItem(pool, rng) {
+        const total = pool.reduce((sum, item) => sum + item.weight, 0);
+        let r = rng() * total;
+        for (let i = 0; i < pool.length; i++) {
+            if (r < pool[i].weight) return pool[i];
+            r -= pool[i].weight;
+        }
+        return pool[pool.length - 1];
+    }
+
+    function spawnItem(run) {
+        const rng = run.rng; const catalog = run.catalog;
+        let badChance = 0.10 + (run.score / 5000); if (badChance > 0.30) badChance = 0.30;
+        let template;
+        if (rng() < badChance) {
+            template = pickItem(catalog.hazards, rng);
+        } else {
+            const roll = rng(); let pool = []; let chance = 0;
+            for (let i = 0; i < catalog.tiers.length; i++) {
+                chance += catalog.tiers[i].chance;
+                if (roll < chance || i === catalog.tiers.length - 1) { pool = catalog.tiers[i].items; break; }
+            }
+            if (pool.length === 0) pool = catalog.goodItems;
+            template = pickItem(pool, rng);
+        }
+        let baseSpeed = (4 + (run.score / 1000)) * template.speed;
+        if (template.isBad && run.rules.hazardSpeed) baseSpeed *= run.rules.hazardSpeed;
+        run.items.push({ x: rng()*(GAME_W-100)+50, y: -100, asset: template, speed: baseSpeed+(rng()*2.0), rot: (rng()-0.5)*0.05, angle: 0 });
+    }
+
+    // Advances the run by one frame. Returns the events ({ type, item }) the caller may want
+    // to react to with sound or UI: 'catch' (with the points scored), 'powerup', 'miss' (a
+    // scoring item fell past with a combo going), 'shield' (a hit was absorbed) and 'death'.
+    function step(run, input) {
+        const events = [];
+        if (run.dead) return events;
+        run.frames++;
+        Object.keys(run.effects).forEach(effect => {
+            if (--run.effects[effect] <= 0) delete run.effects[effect];
+        });
+        if (input !== run.lastInput) { run.inputs.push(run.frames, input); run.lastInput = input; }
+        // The log keeps what was pressed; reversed controls are applied on replay too
+        if (input & INPUT_ANALOG) {
+            const axis = analogAxis(input) * (run.rules.reversed ? -1 : 1);
+            // A partly tilted stick tops out at that fraction of full speed, easing down to it
+            const cap = MAX_SPEED * Math.abs(axis);
+            if (run.playerVX * axis > 0 && Math.abs(run.playerVX) > cap) run.playerVX = Math.sign(axis) * Math.max(cap, Math.abs(run.playerVX) * FRICTION);
+            else if (axis > 0) run.playerVX = Math.min(cap, run.playerVX + ACCEL * axis);
+            else run.playerVX = Math.max(-cap, run.playerVX + ACCEL * axis);
+        } else {
+            let left = (input & INPUT_LEFT) !== 0; let right = (input & INPUT_RIGHT) !== 0;
+            if (run.rules.reversed) { const swap = left; left = right; right = swap; }
+            if(left) run.playerVX -= ACCEL; if(right) run.playerVX += ACCEL;
+            if(!left && !right) run.playerVX *= FRICTION;
+        }
+        if(run.playerVX > MAX_SPEED) run.playerVX = MAX_SPEED; if(run.playerVX < -MAX_SPEED) run.playerVX = -MAX_SPEED;
+        run.playerX += run.playerVX;
+        if(Math.abs(run.playerVX) < 0.1) run.playerVX = 0;
+        if(run.playerX < 60) { run.playerX = 60; run.playerVX = 0; } if(run.playerX > GAME_W - 60) { run.playerX = GAME_W - 60; run.playerVX = 0; }
+        let spawnRate = 50; if(run.score > 400) spawnRate = 40; if(run.score > 1000) spawnRate = 30; if(run.score > 2000) spawnRate = 25;
+        // Slow motion also spawns less often, so the screen doesn't fill up
+        const slow = run.effects.slowmo ? SLOWMO_FACTOR : 1;
+        if(run.frames % Math.round(spawnRate / slow) === 0) spawnItem(run);
+        const bodyBox = { x: run.playerX - 50, y: CHAR_Y + 70, w: 100, h: CHAR_H - 70 };
+        const basketBox = { x: run.playerX - (BASKET_W/2), y: BASKET_Y + 8, w: BASKET_W, h: 30 };
+        for(let i=run.items.length-1; i>=0; i--) {
+            let item = run.items[i]; item.y += item.speed * slow; item.angle += item.rot * slow;
+            if(run.effects.magnet && !item.asset.isBad) item.x += Math.max(-MAGNET_PULL, Math.min(MAGNET_PULL, run.playerX - item.x));
+            const ix = item.x; const iy = item.y + 20;
+            if(item.asset.isBad) {
+                const hitBody = (ix > bodyBox.x && ix < bodyBox.x+bodyBox.w && iy > bodyBox.y && iy < bodyBox.y+bodyBox.h);
+                const hitBasket = (ix > basketBox.x && ix < basketBox.x+basketBox.w && iy > basketBox.y && iy < basketBox.y+basketBox.h + 60);
+                if(hitBody || hitBasket) {
+                    if(run.effects.shield) {
+                        delete run.effects.shield;
+                        events.push({ type: 'shield', item: item.asset });
+                        run.items.splice(i,1); continue;
+                    }
+                    run.dead = true; run.deathSource = item.asset;
+                    events.push({ type: 'death', item: item.asset });
+                    return events;
+                }
+            } else {
+                if(iy > basketBox.y && iy < basketBox.y + basketBox.h) {
+                    if(ix > basketBox.x && ix < basketBox.x + basketBox.w) {
+                        const asset = item.asset;
+                        if(asset.effect) {
+                            run.effects[asset.effect] = asset.duration;
+                            if(asset.effect === 'multiplier') run.scoreFactor = asset.factor;
+                            run.stats.powerups++;
+                            events.push({ type: 'powerup', item: asset });
+                        } else {
+                            const points = asset.score * (run.effects.multiplier ? run.scoreFactor : 1) * comboMultiplier(run.combo);
+                            run.score += points;
+                            run.combo++; if(run.combo > run.bestCombo) run.bestCombo = run.combo;
+                            run.stats.catches[asset.category] = (run.stats.catches[asset.category] || 0) + 1;
+                            events.push({ type: 'catch', item: asset, points: points });
+                        }
+                        run.items.splice(i,1); continue;
+                    }
+                }
+            }
+            if(item.y > GAME_H) {
+                // Letting a scoring item drop breaks the combo
+                if(!item.asset.isBad && item.asset.score > 0 && run.combo > 0) {
+                    run.combo = 0;
+                    events.push({ type: 'miss', item: item.asset });
+                }
+                run.items.splice(i,1);
+            }
+        }
+        return events;
+    }
+
+    // -1..1 stick position -> the input recorded for it (0 when it rounds to centre)
+    function analogInput(axis) {
+        const level = Math.round(Math.max(-1, Math.min(1, axis)) * ANALOG_STEPS);
+        return level ? INPUT_ANALOG | ((level + ANALOG_STEPS) << 3) : 0;
+    }
+
+    function analogAxis(input) {
+        return ((input >> 3) - ANALOG_STEPS) / ANALOG_STEPS;
+    }
+
+    // Whether a value can appear in an input log: digital bits, or one analog strength
+    function isValidInput(input) {
+        if (!Number.isInteger(input) || input < 0) return false;
+        if (!(input & INPUT_ANALOG)) return input <= (INPUT_LEFT | INPUT_RIGHT);
+        const level = (input >> 3) - ANALOG_STEPS;
+        return (input & (INPUT_LEFT | INPUT_RIGHT)) === 0 && level !== 0 && Math.abs(level) <= ANALOG_STEPS;
+    }
+
+    // Reads a recorded input log ([frame, input, frame, input, ...]) back in frame order
+    function createInputReader(inputs) {
+        let next = 0; let input = 0;
+        return function(frame) {
+            if (next < inputs.length && inputs[next] === frame) { input = inputs[next + 1]; next += 2; }
+            return input;
+        };
+    }
+
+    // Re-plays a recorded input log from a fresh run until the player dies or maxFrames is reached
+    function replay(seed, inputs, maxFrames, catalog, modifier) {
+        const run = createRun(seed, catalog, modifier);
+        const read = createInputReader(inputs);
+        while (!run.dead && run.frames < maxFrames) step(run, read(run.frames + 1));
+        return run;
+    }
+
+    return {
+        VERSION, FPS, GAME_W, GAME_H, CHAR_W, CHAR_H, BASKET_W, BASKET_H, CHAR_Y, BASKET_Y,
+        INPUT_LEFT, INPUT_RIGHT, INPUT_ANALOG, EFFECTS, MODIFIERS,
+        loadCatalog, createRng, createRun, comboMultiplier, step, analogInput, isValidInput, createInputReader, replay
+    };
+});
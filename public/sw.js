@@ -0,0 +1,70 @@
+/* SERVICE WORKER
+ * Keeps the game playable offline: the page, its scripts and the item catalog are cached
+ * when the worker installs, and images and sounds as the page loads them. Scores queued
+ * while offline (score-queue.js) are sent from here on Background Sync.
+ */
+importScripts('score-queue.js');
+
+// Bump to drop every cached file on the next visit
+const CACHE = 'tie-drop-v1';
+// Fetched from the network first so updates show up, and from the cache when that fails
+const SHELL = ['/', '/sim.js', '/score-queue.js', '/socket.io/socket.io.js', '/api/items', '/manifest.webmanifest'];
+// Served from the cache once they are in it. The page posts its coreFiles, itemFiles and
+// sounds once they have loaded, so they are cached even if they loaded before this worker ran.
+const ASSET = /\.(png|wav)$/;
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE)
+        .then(cache => cache.addAll(SHELL.concat(['/icon-192.png', '/icon-512.png'])))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// Keeps a copy of a successful response
+function keep(request, response) {
+    if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE).then(cache => cache.put(request, copy));
+    }
+    return response;
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    // Everything else (the rest of the API, logins, chat, share cards) always goes to the server
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (SHELL.includes(url.pathname)) {
+        event.respondWith(fetch(request)
+            .then(response => keep(request, response))
+            .catch(() => caches.match(url.pathname).then(hit => hit || Response.error())));
+    } else if (ASSET.test(url.pathname)) {
+        event.respondWith(caches.match(url.pathname)
+            .then(hit => hit || fetch(request).then(response => keep(url.pathname, response))));
+    }
+});
+
+self.addEventListener('message', event => {
+    const data = event.data || {};
+    if (data.type !== 'cache' || !Array.isArray(data.files)) return;
+    const paths = data.files.map(file => new URL(file, self.location.origin).pathname).filter(path => ASSET.test(path));
+    event.waitUntil(caches.open(CACHE).then(cache => Promise.all(paths.map(path =>
+        cache.match(path).then(hit => hit || cache.add(path).catch(() => {}))))));
+});
+
+// Tells open pages how a queued score went, so they can show achievements and refresh the boards
+function report(result) {
+    return self.clients.matchAll({ type: 'window' })
+        .then(clients => clients.forEach(client => client.postMessage({ type: 'score-sent', result: result })));
+}
+
+self.addEventListener('sync', event => {
+    // A rejection makes the browser try again later
+    if (event.tag === ScoreQueue.SYNC_TAG) event.waitUntil(ScoreQueue.flush(report));
+});
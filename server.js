@@ -5,53 +5,66 @@ const { Server } = require("socket.io");
 const session = require('express-session');
 const passport = require('passport');
 const TwitterStrategy = require('passport-twitter').Strategy;
-const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const Runs = require('./lib/runs');
+const Leaderboard = require('./lib/leaderboard');
+const Chat = require('./lib/chat');
+const Moderation = require('./lib/moderation');
+const Versus = require('./lib/versus');
+const Catalog = require('./lib/catalog');
+const Achievements = require('./lib/achievements');
+const Profiles = require('./lib/profiles');
+const Daily = require('./lib/daily');
+const Share = require('./lib/share');
+const Admin = require('./lib/admin');
+const Settings = require('./lib/settings');
+const Seasons = require('./lib/seasons');
+const Tournaments = require('./lib/tournaments');
+const Webhooks = require('./lib/webhooks');
+const Api = require('./lib/api');
+const Friends = require('./lib/friends');
+const { createStorage } = require('./storage');
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server);
 const PORT = process.env.PORT || 3000;
 
-// --- DATABASE SETUP ---
-const db = new sqlite3.Database('./leaderboard.db', (err) => {
-    if (err) console.error(err.message);
-    console.log('Connected to the leaderboard database.');
-});
-
-db.serialize(() => {
-    db.run(`CREATE TABLE IF NOT EXISTS users (
-        twitterId TEXT PRIMARY KEY,
-        username TEXT,
-        displayName TEXT,
-        photoUrl TEXT,
-        profileUrl TEXT
-    )`);
-    
-    db.run(`CREATE TABLE IF NOT EXISTS scores (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        twitterId TEXT,
-        score INTEGER,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY(twitterId) REFERENCES users(twitterId)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS messages (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user TEXT,
-        text TEXT,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
+// --- STORAGE SETUP ---
+// STORAGE=memory|sqlite|supabase|mongo picks the backend (see storage/index.js)
+const storage = createStorage();
+
+// --- WEBHOOKS ---
+// Outbound webhooks from config/webhooks.json (see lib/webhooks.js), signed with WEBHOOK_SECRET
+const webhooks = Webhooks.createWebhooks({ storage: storage });
+if (webhooks.hooks.length && !webhooks.signed) console.warn('Warning: WEBHOOK_SECRET is not set, so webhooks are sent unsigned.');
+
+// --- FRIENDS ---
+// Follows and the friends leaderboard (see lib/friends.js)
+const friends = Friends.createFriends({
+    storage: storage,
+    // Logged-in sockets join a room named after their account, so every open tab hears it
+    notify: (follower, beat) => io.to(`user:${follower.twitterId}`).emit('friend beat', beat)
 });
 
 // --- MIDDLEWARE ---
-app.use(express.json());
+// Behind a proxy (TRUST_PROXY=1 for one hop), req.ip and req.protocol come from its headers
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+app.use(express.json({ limit: '1mb' })); // Input logs for long runs outgrow the 100kb default
 app.use(express.static(path.join(__dirname, 'public'))); // Serve static files from 'public' folder
-app.use(session({
+const sessionMiddleware = session({
     secret: process.env.SESSION_SECRET || 'keyboard cat',
     resave: false,
-    saveUninitialized: false
-}));
+    saveUninitialized: false,
+    store: storage.sessionStore() || undefined, // Backends that can persist sessions do; others use the memory store
+    // Lax keeps the cookie off cross-site POSTs; 'auto' marks it secure whenever the request came
+    // in over HTTPS (behind a proxy, that needs TRUST_PROXY)
+    cookie: { sameSite: 'lax', secure: 'auto' }
+});
+app.use(sessionMiddleware);
 app.use(passport.initialize());
 app.use(passport.session());
 
@@ -64,12 +77,12 @@ passport.deserializeUser((obj, done) => {
     done(null, obj);
 });
 
-passport.use(new TwitterStrategy({
+const twitterStrategy = new TwitterStrategy({
     consumerKey: process.env.TWITTER_CONSUMER_KEY,
     consumerSecret: process.env.TWITTER_CONSUMER_SECRET,
     callbackURL: process.env.CALLBACK_URL
   },
-  function(token, tokenSecret, profile, cb) {
+  async function(token, tokenSecret, profile, cb) {
     // Update or Insert User
     const user = {
         twitterId: profile.id,
@@ -79,13 +92,109 @@ passport.use(new TwitterStrategy({
         profileUrl: `https://twitter.com/${profile.username}`
     };
 
-    const stmt = db.prepare("INSERT OR REPLACE INTO users (twitterId, username, displayName, photoUrl, profileUrl) VALUES (?, ?, ?, ?, ?)");
-    stmt.run(user.twitterId, user.username, user.displayName, user.photoUrl, user.profileUrl);
-    stmt.finalize();
-
+    try {
+        const isNew = !await storage.getUser(user.twitterId);
+        await storage.saveUser(user);
+        if (Moderation.isConfiguredAdmin(user.username)) {
+            await storage.updateUserStatus(user.twitterId, { role: 'admin' });
+        }
+        if (isNew) await countNewPlayer(user);
+    } catch (err) {
+        console.error('User save error:', err);
+    }
+    if (Friends.IMPORT_FROM_X) {
+        // Not awaited: logging in doesn't wait on X
+        Friends.fetchXFollowing(twitterStrategy._oauth, token, tokenSecret, user.twitterId)
+            .then(ids => friends.importFollows(user, ids))
+            .catch(err => console.error('X follow import error:', err.message));
+    }
     return cb(null, user);
   }
-));
+);
+passport.use(twitterStrategy);
+
+// --- HELPERS ---
+// Saves a SYSTEM chat message and broadcasts it to everyone connected
+async function announce(text) {
+    await postMessage({ user: 'SYSTEM', text: text });
+}
+
+// Stores a chat message and sends it to everyone, with the id and time clients order,
+// de-duplicate and page history by
+async function postMessage(message) {
+    const id = await storage.addMessage(message);
+    io.emit('chat message', { id: id, user: message.user, text: message.text, createdAt: new Date(), reactions: {} });
+}
+
+// Fires player-milestone when a new account takes the player count to a milestone
+async function countNewPlayer(user) {
+    const players = await storage.countUsers();
+    if (Webhooks.isPlayerMilestone(players)) {
+        webhooks.emit('player-milestone', { players: players, player: Webhooks.player(user), text: `🎉 @${user.username} is player number ${players}!` });
+    }
+}
+
+// Refuses requests from banned accounts. The account is looked up again rather than
+// trusting the session, so bans take effect without logging anyone out.
+async function rejectBanned(req, res, next) {
+    try {
+        if (req.isAuthenticated() && Moderation.isBanned(await storage.getUser(req.user.twitterId))) {
+            return res.status(403).json({ error: 'This account is banned.' });
+        }
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+}
+
+// Admin-only routes. Like rejectBanned, the role is read from storage on every request.
+async function requireAdmin(req, res, next) {
+    if (!req.isAuthenticated()) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    try {
+        if (!Moderation.isAdmin(await storage.getUser(req.user.twitterId))) {
+            return res.status(403).json({ error: 'Admins only' });
+        }
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+}
+
+// Admin actions only take JSON bodies. A cross-site page can submit a form but can't send
+// application/json without CORS, so this shuts out forged requests riding an admin's session.
+function requireJson(req, res, next) {
+    if (!req.is('application/json')) {
+        return res.status(415).json({ error: 'Send a JSON body (Content-Type: application/json)' });
+    }
+    next();
+}
+
+const achievements = Achievements.createAchievements({ storage: storage });
+
+// Records a verified run towards achievements. A failure here shouldn't cost the player their
+// score, so it is logged and treated as nothing unlocked.
+async function recordAchievements(user, summary) {
+    try {
+        const unlocked = await achievements.recordRun(user.twitterId, summary);
+        for (const achievement of unlocked.filter(a => a.announce)) {
+            await announce(`${Chat.ANNOUNCEMENT_PREFIXES.achievement} @${user.username} unlocked ${achievement.icon} ${achievement.name}!`);
+        }
+        return unlocked.map(({ announce, ...achievement }) => achievement);
+    } catch (err) {
+        console.error('Achievement update failed:', err);
+        return [];
+    }
+}
+
+const moderation = Moderation.createModeration({
+    storage: storage,
+    // Deleted messages vanish for everyone connected
+    onDelete: (id) => io.emit('chat delete', { id: id })
+});
 
 // --- ROUTES ---
 
@@ -97,8 +206,9 @@ app.get('/', (req, res) => {
 // Auth Routes
 app.get('/auth/twitter', passport.authenticate('twitter'));
 
-app.get('/auth/twitter/callback', 
-  passport.authenticate('twitter', { failureRedirect: '/' }),
+app.get('/auth/twitter/callback',
+  // keepSessionInfo carries a guest's unsubmitted runs over into the logged-in session
+  passport.authenticate('twitter', { failureRedirect: '/', keepSessionInfo: true }),
   function(req, res) {
     // Successful authentication, redirect home.
     res.redirect('/');
@@ -111,102 +221,1093 @@ app.get('/auth/logout', (req, res, next) => {
     });
 });
 
+// API: Item catalog the client spawns, draws and scores items from
+app.get('/api/items', (req, res) => {
+    res.json(Catalog.data);
+});
+
 // API: Get Current User
-app.get('/api/user', (req, res) => {
+app.get('/api/user', async (req, res) => {
     if (req.isAuthenticated()) {
-        res.json({ authenticated: true, user: req.user });
+        // Role lives in storage, not the session, so promotions show up without a re-login
+        const account = await storage.getUser(req.user.twitterId).catch(() => null);
+        res.json({ authenticated: true, user: { ...req.user, role: account ? account.role : 'user' } });
     } else {
         res.json({ authenticated: false });
     }
 });
 
-// API: Get Leaderboard
-app.get('/api/leaderboard', (req, res) => {
-    const query = `
-        SELECT u.username, u.photoUrl, u.profileUrl, MAX(s.score) as highScore
-        FROM scores s
-        JOIN users u ON s.twitterId = u.twitterId
-        GROUP BY u.twitterId
-        ORDER BY highScore DESC
-        LIMIT 20
-    `;
-    
-    db.all(query, [], (err, rows) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-            return;
+// API: The current user's saved settings, or null if they have never saved any
+app.get('/api/settings', async (req, res) => {
+    if (!req.isAuthenticated()) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    try {
+        const saved = await storage.getSettings(req.user.twitterId);
+        res.json({ settings: saved ? Settings.sanitize(saved) : null });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Replace the current user's settings
+app.put('/api/settings', async (req, res) => {
+    if (!req.isAuthenticated()) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    try {
+        const settings = Settings.sanitize(req.body);
+        await storage.saveSettings(req.user.twitterId, settings);
+        res.json({ settings: settings });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ?season=<id>|current -> the season, or null with the error to answer with
+function seasonFromQuery(query) {
+    const season = Seasons.find(String(query.season));
+    return { season, error: season ? null : (query.season === 'current' ? 'No season is running' : 'Season not found') };
+}
+
+// Whether a leaderboard query is for a season's board. Without ?window= that is the running
+// season's, if there is one.
+function wantsSeason(query) {
+    return !!query.season || (!query.window && !!Seasons.current());
+}
+
+// The ranked rows of the board a query asks for: a window (?window=), a season (?season=) or
+// a tournament (?tournament=). Resolves to { rows } or { error } for a board that doesn't exist.
+async function boardRows(query, { since, limit, offset }) {
+    if (query.tournament) {
+        const tournament = await storage.getTournament(String(query.tournament));
+        if (!tournament) return { error: 'Tournament not found' };
+        // Tournament runs keep no replay, so there is no scoreId to play back
+        const rows = await storage.getTournamentLeaderboard(tournament.id, { limit, offset });
+        return { rows: Leaderboard.withRanks(rows.map(({ score, ...row }) => ({ ...row, highScore: score, scoreId: null })), offset) };
+    }
+    if (wantsSeason(query)) {
+        const { season, error } = seasonFromQuery({ season: query.season || 'current' });
+        if (error) return { error: error };
+        // Ended seasons are read from their archive once it has been written
+        const standings = await storage.getSeasonStandings(season.id);
+        if (standings) return { rows: standings.slice(offset, offset + limit) };
+        const rows = await storage.getLeaderboard({ since: season.start, until: season.end, limit, offset });
+        return { rows: Leaderboard.withRanks(rows, offset) };
+    }
+    return { rows: Leaderboard.withRanks(await storage.getLeaderboard({ since, limit, offset }), offset) };
+}
+
+// API: Get Leaderboard (?window=daily|weekly|monthly|all&limit=&offset=). ?season=<id>|current
+// or ?tournament=<id> shows that board instead of a window, and ?friends=1 ranks only the
+// logged-in player and the people they follow. With none of these it is the running season's
+// board, or all-time between seasons.
+app.get('/api/leaderboard', async (req, res) => {
+    if (req.query.friends && !req.isAuthenticated()) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    try {
+        const page = Leaderboard.parseQuery(req.query);
+        if (req.query.friends) {
+            const twitterIds = await friends.boardIds(req.user);
+            const rows = await storage.getLeaderboard({ since: page.since, limit: page.limit, offset: page.offset, twitterIds: twitterIds });
+            return res.json(Leaderboard.withRanks(rows, page.offset));
+        }
+        const { rows, error } = await boardRows(req.query, page);
+        if (error) {
+            return res.status(404).json({ error: error });
         }
         res.json(rows);
-    });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Current user's rank in a window (or ?season=) plus the players around them (?window=&context=).
+// The board defaults as /api/leaderboard's does.
+app.get('/api/leaderboard/me', async (req, res) => {
+    if (!req.isAuthenticated()) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const { window, since } = Leaderboard.parseQuery(req.query);
+    let range = { since };
+    let context = parseInt(req.query.context, 10);
+    if (!(context >= 0)) context = 2;
+    context = Math.min(context, 10);
+    if (wantsSeason(req.query)) {
+        const { season, error } = seasonFromQuery({ season: req.query.season || 'current' });
+        if (error) {
+            return res.status(404).json({ error: error });
+        }
+        range = { since: season.start, until: season.end };
+    }
+
+    try {
+        const mine = await storage.getUserRank(req.user.twitterId, range);
+        if (!mine) {
+            return res.json({ window: window, rank: null, highScore: null, entries: [] });
+        }
+
+        const offset = Math.max(0, mine.rank - 1 - context);
+        const rows = await storage.getLeaderboard({ ...range, limit: mine.rank - offset + context, offset });
+        res.json({ window: window, rank: mine.rank, highScore: mine.highScore, entries: Leaderboard.withRanks(rows, offset) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Start a Run (seed + one-time token the score submission must echo back).
+// Guests get runs too; they keep them and submit them once they have connected X.
+app.post('/api/run', rejectBanned, (req, res) => {
+    const run = Runs.issueRun();
+    Runs.rememberRun(req.session, run, req.isAuthenticated() ? undefined : Runs.MAX_GUEST_RUNS);
+    res.json({ token: run.token, seed: run.seed });
+});
+
+// --- ADMIN ---
+const admin = Admin.createAdmin({
+    storage: storage,
+    // A voided score's card must not keep being served from the cache
+    onVoid: (ids) => ids.forEach(id => shareCards.delete(String(id))),
+    onRevokeKey: (id) => apiKeys.forget(id)
+});
+
+// API: Find players by part of their handle (?q=&limit=)
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
+    try {
+        res.json(await admin.searchUsers(req.query.q, req.query.limit));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: A player's scores, newest first and voided ones included (?limit=&offset=)
+app.get('/api/admin/users/:username/scores', requireAdmin, async (req, res) => {
+    try {
+        const result = await admin.userScores(req.params.username, req.query);
+        if (!result) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Void one score ({ reason })
+app.post('/api/admin/scores/:id/void', requireAdmin, requireJson, async (req, res) => {
+    try {
+        const result = await admin.voidScore(req.user, req.params.id, (req.body || {}).reason);
+        res.status(result.error ? 400 : 200).json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Void all of a player's scores ({ reason })
+app.post('/api/admin/users/:username/wipe-scores', requireAdmin, requireJson, async (req, res) => {
+    try {
+        const result = await admin.wipeScores(req.user, req.params.username, (req.body || {}).reason);
+        res.status(result.error ? 400 : 200).json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Recent chat with the moderation history (?limit=)
+app.get('/api/admin/chat', requireAdmin, async (req, res) => {
+    try {
+        res.json(await admin.chat(req.query.limit));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Schedule a tournament ({ name, startsAt, endsAt, maxAttempts })
+app.post('/api/admin/tournaments', requireAdmin, requireJson, async (req, res) => {
+    try {
+        const result = await admin.scheduleTournament(req.user, req.body);
+        res.status(result.error ? 400 : 200).json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Configured webhooks (receiver host only) and their latest deliveries
+app.get('/api/admin/webhooks', requireAdmin, async (req, res) => {
+    try {
+        const deliveries = await storage.getRecentWebhookDeliveries(50);
+        res.json({
+            signed: webhooks.signed,
+            events: Webhooks.EVENTS,
+            hooks: webhooks.describe(),
+            deliveries: deliveries.map(({ id, hookId, event, status, attempts, nextAttemptAt, lastError, createdAt }) =>
+                ({ id: String(id), hookId, event, status, attempts, nextAttemptAt, lastError, createdAt }))
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Send a sample event right away ({ hook, url, event }) and report the receiver's answer
+app.post('/api/admin/webhooks/test', requireAdmin, requireJson, async (req, res) => {
+    try {
+        const { hook, url, event } = req.body || {};
+        const result = await webhooks.test({ hook: hook || undefined, url: url || undefined, event: event || undefined });
+        res.status(result.error ? 400 : 200).json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Every API key, newest first (the keys themselves are never shown again)
+app.get('/api/admin/api-keys', requireAdmin, async (req, res) => {
+    try {
+        res.json(await admin.apiKeys());
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Issue an API key ({ name, rateLimit }); the response is the only time the key is shown
+app.post('/api/admin/api-keys', requireAdmin, requireJson, async (req, res) => {
+    try {
+        const result = await admin.issueApiKey(req.user, req.body);
+        res.status(result.error ? 400 : 200).json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/admin/api-keys/:id/revoke', requireAdmin, requireJson, async (req, res) => {
+    try {
+        const result = await admin.revokeApiKey(req.user, req.params.id);
+        res.status(result.error ? 400 : 200).json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Every admin action, newest first (?limit=)
+app.get('/api/admin/audit', requireAdmin, async (req, res) => {
+    try {
+        res.json(await admin.auditLog(req.query.limit));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- SHARE CARDS ---
+// Cards show the player's current all-time place, so they are cached briefly rather than forever
+const SHARE_CACHE_MS = 10 * 60 * 1000;
+const SHARE_CACHE_SIZE = 100;
+const shareCards = new Map(); // scoreId -> { png, expires }, oldest first
+
+// PUBLIC_URL when set (behind a proxy the request may not know its own https address)
+function baseUrl(req) {
+    return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+async function shareCard(score) {
+    const key = String(score.id);
+    const cached = shareCards.get(key);
+    if (cached && cached.expires > Date.now()) return cached.png;
+
+    // The place only means something if this score is the player's best
+    const mine = await storage.getUserRank(score.twitterId);
+    const png = await Share.renderCard(score, mine && mine.highScore === score.score ? mine.rank : null);
+    shareCards.delete(key);
+    shareCards.set(key, { png: png, expires: Date.now() + SHARE_CACHE_MS });
+    if (shareCards.size > SHARE_CACHE_SIZE) shareCards.delete(shareCards.keys().next().value);
+    return png;
+}
+
+// Score card image for link previews
+app.get('/share/:scoreId.png', async (req, res) => {
+    try {
+        const score = await storage.getScore(req.params.scoreId);
+        if (!score || score.voided) {
+            return res.status(404).json({ error: 'Score not found' });
+        }
+        res.set('Cache-Control', `public, max-age=${SHARE_CACHE_MS / 1000}`);
+        res.type('png').send(await shareCard(score));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Shared link: card tags for X / Open Graph unfurls, then on to the game
+app.get('/s/:scoreId', async (req, res) => {
+    try {
+        const score = await storage.getScore(req.params.scoreId);
+        if (!score || score.voided) {
+            return res.redirect('/');
+        }
+        res.type('html').send(Share.landingPage(score, baseUrl(req)));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Today's daily challenge, with the current user's attempt if they have started it.
+// The seed only comes with the attempt (POST /api/daily/run).
+app.get('/api/daily', async (req, res) => {
+    const challenge = Daily.challengeFor(Daily.dateKey());
+    try {
+        const attempt = req.isAuthenticated() ? await storage.getDailyAttempt(challenge.date, req.user.twitterId) : null;
+        res.json({ ...Daily.describe(challenge), attempt: attempt });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: A day's challenge and its board, for today or any earlier date (?limit=&offset=).
+// Past days include their seed, for practice; today's doesn't.
+app.get('/api/daily/:date', async (req, res) => {
+    const date = Daily.parseDate(req.params.date);
+    if (!date || date > Daily.dateKey()) {
+        return res.status(404).json({ error: 'No challenge for that date' });
+    }
+    const { limit, offset } = Leaderboard.parseQuery(req.query);
+    try {
+        const rows = await storage.getDailyLeaderboard(date, { limit, offset });
+        res.json({ ...Daily.describe(Daily.challengeFor(date)), entries: Leaderboard.withRanks(rows, offset) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Start today's daily challenge. Only the first attempt counts, so starting one uses it up.
+app.post('/api/daily/run', rejectBanned, async (req, res) => {
+    if (!req.isAuthenticated()) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    const challenge = Daily.challengeFor(Daily.dateKey());
+    try {
+        if (!await storage.startDailyAttempt(challenge.date, req.user.twitterId)) {
+            return res.status(409).json({ error: "You've already played today's challenge." });
+        }
+        const run = Daily.issueRun(challenge);
+        Runs.rememberRun(req.session, run);
+        res.json({ token: run.token, seed: run.seed, date: challenge.date, modifier: run.modifier });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- SEASONS & TOURNAMENTS ---
+const seasons = Seasons.createSeasons({ storage: storage });
+const tournaments = Tournaments.createTournaments({ storage: storage });
+
+// API: Every season, oldest first, and the id of the one running (null between seasons)
+app.get('/api/seasons', (req, res) => {
+    const current = Seasons.current();
+    res.json({ current: current ? current.id : null, seasons: Seasons.seasons.map(s => Seasons.describe(s)) });
+});
+
+// API: Upcoming, running and recently ended tournaments, with the current user's attempts
+app.get('/api/tournaments', async (req, res) => {
+    try {
+        const list = await tournaments.recent();
+        const entries = req.isAuthenticated()
+            ? await Promise.all(list.map(t => storage.getTournamentEntry(t.id, req.user.twitterId)))
+            : [];
+        res.json(list.map((t, i) => Tournaments.describe(t, entries[i])));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Start a tournament attempt. Starting one uses it up, like the daily challenge.
+app.post('/api/tournaments/:id/run', rejectBanned, async (req, res) => {
+    if (!req.isAuthenticated()) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    try {
+        const tournament = await storage.getTournament(req.params.id);
+        if (!tournament) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        if (Tournaments.status(tournament) !== 'active') {
+            return res.status(409).json({ error: `${tournament.name} isn't running.` });
+        }
+        if (!await storage.startTournamentAttempt(tournament.id, req.user.twitterId, tournament.maxAttempts)) {
+            const attempts = tournament.maxAttempts === 1 ? 'your attempt' : `all ${tournament.maxAttempts} attempts`;
+            return res.status(409).json({ error: `You've used ${attempts} in ${tournament.name}.` });
+        }
+        const run = Tournaments.issueRun(tournament);
+        Runs.rememberRun(req.session, run);
+        res.json({ token: run.token, seed: run.seed, tournament: run.tournament });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
 });
 
 // API: Submit Score
-app.post('/api/score', (req, res) => {
+// Retried submissions get the first answer back (see Runs.createSubmissionCache)
+const submissions = Runs.createSubmissionCache();
+
+app.post('/api/score', rejectBanned, async (req, res) => {
     if (!req.isAuthenticated()) {
         return res.status(401).json({ error: 'Not authenticated' });
     }
-    
-    const { score } = req.body;
-    const stmt = db.prepare("INSERT INTO scores (twitterId, score) VALUES (?, ?)");
-    stmt.run(req.user.twitterId, score, function(err) {
-        if (err) {
-            res.status(500).json({ error: err.message });
-            return;
-        }
-
-        // Check for Top 3 placement to announce
-        const checkQuery = `
-            SELECT u.username, MAX(s.score) as highScore
-            FROM scores s
-            JOIN users u ON s.twitterId = u.twitterId
-            GROUP BY u.twitterId
-            ORDER BY highScore DESC
-            LIMIT 3
-        `;
-        db.all(checkQuery, [], (err, rows) => {
-            if (!err && rows) {
-                const rank = rows.findIndex(r => r.username === req.user.username) + 1;
-                // Only announce if they are in top 3 AND the score they just submitted matches their high score (meaning it's a new record for them that put them there)
-                const userRecord = rows.find(r => r.username === req.user.username);
-                
-                if (rank > 0 && rank <= 3 && userRecord && userRecord.highScore === score) {
-                    const announcement = `👑 @${req.user.username} just took #${rank} place with ${score} points!`;
-                    
-                    // Save system message
-                    const sysStmt = db.prepare("INSERT INTO messages (user, text) VALUES (?, ?)");
-                    sysStmt.run('SYSTEM', announcement);
-                    sysStmt.finalize();
-
-                    // Broadcast
-                    io.emit('chat message', { user: 'SYSTEM', text: announcement });
-                }
+
+    try {
+        const token = String((req.body || {}).token);
+        const answer = await submissions.once(`${req.user.twitterId}:${token}`, () => submitScore(req, token));
+        res.status(answer.status).json(answer.body);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Verifies and stores a run's score. Resolves to the { status, body } to answer with.
+async function submitScore(req, token) {
+    try {
+        // Replay the run server-side; the client's claimed score is never trusted on its own
+        const runs = req.session.runs || {};
+        const run = runs[token];
+        const verdict = Runs.verifyRun(run, req.body);
+        if (verdict.error) {
+            delete runs[token];
+            console.warn(`Rejected score from @${req.user.username}: ${verdict.error}`);
+            return { status: 400, body: { error: verdict.error } };
+        }
+        const score = verdict.score;
+
+        if (run.daily) {
+            // Daily challenge runs go on that day's board instead of the leaderboard
+            await storage.finishDailyAttempt(run.daily, req.user.twitterId, score);
+            delete runs[token];
+            const unlocked = await recordAchievements(req.user, verdict.summary);
+            return { status: 200, body: { success: true, daily: run.daily, achievements: unlocked } };
+        }
+        if (run.tournament) {
+            // Tournament attempts go on that tournament's board, and only until its results are in
+            if (Date.now() > run.closesAt) {
+                delete runs[token];
+                return { status: 400, body: { error: 'The tournament is over.' } };
             }
+            await storage.finishTournamentAttempt(run.tournament, req.user.twitterId, score);
+            delete runs[token];
+            const unlocked = await recordAchievements(req.user, verdict.summary);
+            return { status: 200, body: { success: true, tournament: run.tournament, achievements: unlocked } };
+        }
+
+        const previous = await storage.getUserRank(req.user.twitterId);
+        const id = await storage.addScore(req.user.twitterId, score, verdict.summary);
+        // Once stored, a retry must not get the chance to store it again
+        delete runs[token];
+        await storage.saveReplay({ scoreId: id, ...verdict.replay });
+        const unlocked = await recordAchievements(req.user, verdict.summary);
+        // Not awaited: followers are told over their sockets, whenever that's done
+        friends.scoreBeaten(req.user, previous ? previous.highScore : null, score).catch(err => console.error(err));
+
+        // Check for Top 3 placement to announce, on the current season's board while one is running
+        const season = Seasons.current();
+        const top3 = await storage.getLeaderboard(season ? { since: season.start, until: season.end, limit: 3 } : { limit: 3 });
+        const rank = top3.findIndex(r => r.username === req.user.username) + 1;
+        // Only announce if they are in top 3 AND the score they just submitted matches their high score (meaning it's a new record for them that put them there)
+        const userRecord = top3[rank - 1];
+
+        if (rank > 0 && userRecord.highScore === score) {
+            const text = `${Chat.ANNOUNCEMENT_PREFIXES.top3} @${req.user.username} just took #${rank} place${season ? ` in ${season.name}` : ''} with ${score} points!`;
+            await announce(text);
+            // Not awaited: receivers are dealt with by the webhook queue, never by this request
+            webhooks.emit(rank === 1 ? 'new-first' : 'top3', {
+                player: Webhooks.player(req.user), score: score, rank: rank, board: season ? season.name : 'all-time',
+                link: `${baseUrl(req)}/s/${id}`, text: text
+            });
+        }
+
+        return { status: 200, body: { success: true, id: id, achievements: unlocked } };
+    } catch (err) {
+        console.error(err);
+        return { status: 500, body: { error: err.message } };
+    }
+}
+
+// API: Replay of a stored run, by score id
+app.get('/api/replays/:id', async (req, res) => {
+    try {
+        const [replay, score] = await Promise.all([storage.getReplay(req.params.id), storage.getScore(req.params.id)]);
+        if (!replay || !score || score.voided) {
+            return res.status(404).json({ error: 'Replay not found' });
+        }
+        res.json({
+            scoreId: score.id,
+            username: score.username,
+            photoUrl: score.photoUrl,
+            score: score.score,
+            version: replay.version,
+            catalogVersion: replay.catalogVersion,
+            seed: replay.seed,
+            frames: replay.frames,
+            inputs: replay.inputs,
+            createdAt: replay.createdAt
         });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// A player's profile: lifetime stats over every stored run, latest runs, versus record and
+// unlocked achievements
+async function profileOf(user) {
+    const [runs, record, unlocked] = await Promise.all([
+        storage.getUserRuns(user.twitterId),
+        storage.getMatchRecord(user.twitterId),
+        achievements.forUser(user.twitterId)
+    ]);
+    return {
+        username: user.username,
+        displayName: user.displayName,
+        photoUrl: user.photoUrl,
+        profileUrl: user.profileUrl,
+        stats: Profiles.summarizeRuns(runs),
+        history: runs.slice(0, Profiles.HISTORY_SIZE).map(Profiles.toHistoryEntry),
+        versus: record,
+        achievements: unlocked.filter(a => a.unlockedAt)
+    };
+}
+
+// API: A player's profile
+app.get('/api/users/:username', async (req, res) => {
+    try {
+        const user = await storage.findUserByUsername(req.params.username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const [profile, follows] = await Promise.all([profileOf(user), friends.counts(user, req.isAuthenticated() ? req.user : null)]);
+        res.json({ ...profile, friends: follows });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Follow a player as the logged-in user
+app.post('/api/users/:username/follow', async (req, res) => {
+    if (!req.isAuthenticated()) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    try {
+        const result = await friends.follow(req.user, req.params.username);
+        res.status(result.error ? 400 : 200).json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        res.json({ success: true, id: this.lastID });
+// API: Stop following a player
+app.post('/api/users/:username/unfollow', async (req, res) => {
+    if (!req.isAuthenticated()) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    try {
+        const result = await friends.unfollow(req.user, req.params.username);
+        res.status(result.error ? 400 : 200).json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Who the logged-in user follows and who follows them
+app.get('/api/friends', async (req, res) => {
+    if (!req.isAuthenticated()) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    try {
+        res.json(await friends.list(req.user));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: A page of a player's runs, newest first (?limit=&offset=)
+app.get('/api/users/:username/runs', async (req, res) => {
+    try {
+        const user = await storage.findUserByUsername(req.params.username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const page = Profiles.parsePage(req.query);
+        const runs = await storage.getUserRuns(user.twitterId, page);
+        res.json({ username: user.username, offset: page.offset, runs: runs.map(Profiles.toHistoryEntry) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Every achievement with a player's progress and unlock dates
+app.get('/api/users/:username/achievements', async (req, res) => {
+    try {
+        const user = await storage.findUserByUsername(req.params.username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ username: user.username, achievements: await achievements.forUser(user.twitterId) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Versus win/loss record
+app.get('/api/versus/record/:username', async (req, res) => {
+    try {
+        const user = await storage.findUserByUsername(req.params.username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const record = await storage.getMatchRecord(user.twitterId);
+        res.json({ username: user.username, ...record });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- PUBLIC API (v1) ---
+// Read-only endpoints for bots and overlays, described by lib/openapi.json. Every request but
+// the spec needs an API key (see lib/api.js). Responses are { data }, and lists add a
+// nextCursor to pass back as ?cursor= for the next page (null on the last one).
+const apiKeys = Api.createApiKeys({ storage: storage });
+const openApi = require('./lib/openapi.json');
+
+// Any site may call the API: keys travel in a header, never in a cookie
+app.use('/api/v1', (req, res, next) => {
+    res.set({
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, X-API-Key',
+        'Access-Control-Expose-Headers': 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After'
     });
-    stmt.finalize();
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
+});
+
+// Ids are numbers or strings depending on the storage backend; the API always sends strings
+function v1Run(run) {
+    return { ...Profiles.toHistoryEntry(run), id: String(run.id) };
+}
+
+// Refuses requests without a valid key, or over the key's rate limit
+async function requireApiKey(req, res, next) {
+    try {
+        const result = await apiKeys.check(Api.keyFromHeaders(req.headers), req.ip);
+        if (result.limit) {
+            res.set({ 'X-RateLimit-Limit': result.limit, 'X-RateLimit-Remaining': result.remaining, 'X-RateLimit-Reset': Math.ceil(result.resetAt / 1000) });
+        }
+        if (result.error) {
+            if (result.retryAfter) res.set('Retry-After', result.retryAfter);
+            return res.status(result.status).json({ error: result.error });
+        }
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+}
+
+// API: The OpenAPI document, pointing at this server
+app.get('/api/v1/openapi.json', (req, res) => {
+    res.json({ ...openApi, servers: [{ url: `${baseUrl(req)}/api/v1` }] });
 });
 
+// API: A leaderboard (?window=, ?season= or ?tournament=, as /api/leaderboard), best first
+app.get('/api/v1/leaderboard', requireApiKey, async (req, res) => {
+    const page = Api.parsePage(req.query, 'offset');
+    if (page.error) {
+        return res.status(400).json({ error: page.error });
+    }
+    try {
+        const { since } = Leaderboard.parseQuery(req.query);
+        const { rows, error } = await boardRows(req.query, { since, limit: page.limit + 1, offset: page.offset });
+        if (error) {
+            return res.status(404).json({ error: error });
+        }
+        const entries = rows.map(({ rank, username, photoUrl, profileUrl, highScore, scoreId }) =>
+            ({ rank, username, photoUrl, profileUrl, score: highScore, scoreId: scoreId === null ? null : String(scoreId) }));
+        res.json(Api.toPage(entries, page));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Every season and the id of the running one
+app.get('/api/v1/seasons', requireApiKey, (req, res) => {
+    const current = Seasons.current();
+    res.json({ data: Seasons.seasons.map(s => Seasons.describe(s)), current: current ? current.id : null });
+});
+
+// API: A player's profile
+app.get('/api/v1/users/:username', requireApiKey, async (req, res) => {
+    try {
+        const user = await storage.findUserByUsername(req.params.username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const profile = await profileOf(user);
+        res.json({ data: { ...profile, history: profile.history.map(entry => ({ ...entry, id: String(entry.id) })) } });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: A player's runs, newest first
+app.get('/api/v1/users/:username/runs', requireApiKey, async (req, res) => {
+    const page = Api.parsePage(req.query, 'offset');
+    if (page.error) {
+        return res.status(400).json({ error: page.error });
+    }
+    try {
+        const user = await storage.findUserByUsername(req.params.username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const runs = await storage.getUserRuns(user.twitterId, { limit: page.limit + 1, offset: page.offset });
+        res.json(Api.toPage(runs.map(v1Run), page));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Everyone's latest runs, newest first
+app.get('/api/v1/runs', requireApiKey, async (req, res) => {
+    const page = Api.parsePage(req.query, 'before');
+    if (page.error) {
+        return res.status(400).json({ error: page.error });
+    }
+    try {
+        const runs = await storage.getRecentRuns({ limit: page.limit + 1, before: page.before });
+        const entries = runs.map(run => ({ ...v1Run(run), username: run.username, photoUrl: run.photoUrl, profileUrl: run.profileUrl }));
+        res.json(Api.toPage(entries, page));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Chat history, newest first
+app.get('/api/v1/chat', requireApiKey, async (req, res) => {
+    const page = Api.parsePage(req.query, 'before');
+    if (page.error) {
+        return res.status(400).json({ error: page.error });
+    }
+    try {
+        const messages = await storage.getMessages({ limit: page.limit + 1, before: page.before });
+        res.json(Api.toPage(messages.map(m => ({ ...m, id: String(m.id) })), page));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.use('/api/v1', (req, res) => {
+    res.status(404).json({ error: 'No such endpoint. See /api/v1/openapi.json.' });
+});
+
+// --- REPLAY PRUNING ---
+// Replays older than REPLAY_MAX_AGE_DAYS are deleted, except those of the all-time top 3 and
+// the current season's top 3
+const REPLAY_MAX_AGE_DAYS = parseFloat(process.env.REPLAY_MAX_AGE_DAYS) || 30;
+
+async function pruneReplays() {
+    try {
+        const season = Seasons.current();
+        const top3 = await storage.getLeaderboard({ limit: 3 });
+        const seasonTop3 = season ? await storage.getLeaderboard({ since: season.start, until: season.end, limit: 3 }) : [];
+        const olderThan = new Date(Date.now() - REPLAY_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+        const removed = await storage.pruneReplays(olderThan, top3.concat(seasonTop3).map(row => row.scoreId));
+        if (removed) console.log(`Pruned ${removed} old replays.`);
+    } catch (err) {
+        console.error('Replay pruning failed:', err);
+    }
+}
+
+// Archives seasons that have ended and closes finished tournaments, announcing the winners
+async function closeFinished() {
+    try {
+        for (const { season, standings } of await seasons.closeEnded()) {
+            const next = Seasons.current();
+            const winner = standings[0];
+            const text = `${Chat.ANNOUNCEMENT_PREFIXES.season} ${season.name} is over!`
+                + (winner ? ` @${winner.username} wins with ${winner.highScore} points.` : '')
+                + (next ? ` ${next.name} starts now.` : '');
+            await announce(text);
+            webhooks.emit('season-end', {
+                season: Seasons.describe(season), next: next ? Seasons.describe(next) : null,
+                winner: winner ? { ...Webhooks.player(winner), score: winner.highScore } : null,
+                standings: standings.slice(0, 3).map(row => ({ rank: row.rank, username: row.username, score: row.highScore })),
+                text: text
+            });
+        }
+        for (const { tournament, standings } of await tournaments.closeEnded()) {
+            const winner = standings[0];
+            const text = `${Chat.ANNOUNCEMENT_PREFIXES.tournament} ${tournament.name} is over!` + (winner ? ` @${winner.username} wins with ${winner.score} points.` : '');
+            await announce(text);
+            const { id, name, startsAt, endsAt } = tournament;
+            webhooks.emit('tournament-end', {
+                tournament: { id: String(id), name, startsAt, endsAt },
+                winner: winner ? { ...Webhooks.player(winner), score: winner.score } : null,
+                standings: standings.map((row, i) => ({ rank: i + 1, username: row.username, score: row.score })),
+                text: text
+            });
+        }
+    } catch (err) {
+        console.error('Closing seasons and tournaments failed:', err);
+    }
+}
+
 // --- SOCKET.IO CHAT ---
-io.on('connection', (socket) => {
-    // Send last 50 messages to the new user
-    db.all("SELECT user, text FROM messages ORDER BY id DESC LIMIT 50", [], (err, rows) => {
-        if (err) return console.error(err);
-        // Send in reverse order so they appear correctly (oldest first)
-        rows.reverse().forEach(row => {
-            socket.emit('chat message', { user: row.user, text: row.text });
-        });
+// Run the socket handshake through the same session + Passport stack as HTTP requests,
+// so socket.request.user is the logged-in X account (or undefined for guests)
+io.engine.use(sessionMiddleware);
+io.engine.use(passport.initialize());
+io.engine.use(passport.session());
+
+const chatFilter = Chat.createChatFilter();
+const presence = Chat.createPresence();
+
+// Connects and disconnects come in bursts (a deploy, a shared link), so the online list
+// goes out at most once a second
+let presenceTimer = null;
+function presenceChanged() {
+    if (presenceTimer) return;
+    presenceTimer = setTimeout(() => {
+        presenceTimer = null;
+        io.emit('chat presence', presence.list());
+    }, 1000);
+}
+
+// A message id sent by a client, or null when there isn't a usable one
+function messageIdParam(value) {
+    return (typeof value === 'string' && value) || typeof value === 'number' ? value : null;
+}
+
+const versus = Versus.createVersus({
+    io: io,
+    storage: storage,
+    // Every finished match is announced in chat
+    onResult: ({ winner, players: [a, b] }) => {
+        if (!winner) return announce(`${Chat.ANNOUNCEMENT_PREFIXES.versus} @${a.username} and @${b.username} drew ${a.score}–${b.score} in versus.`);
+        const [won, lost] = winner === a.username ? [a, b] : [b, a];
+        if (lost.forfeit) return announce(`${Chat.ANNOUNCEMENT_PREFIXES.versus} @${won.username} beat @${lost.username} in versus (forfeit).`);
+        return announce(`${Chat.ANNOUNCEMENT_PREFIXES.versus} @${won.username} beat @${lost.username} ${won.score}–${lost.score} in versus!`);
+    }
+});
+
+io.on('connection', async (socket) => {
+    const sessionUser = socket.request.user;
+
+    socket.on('chat message', async (msg) => {
+        try {
+            // Identity comes from the session; anything the client says about who it is is ignored.
+            // The account is re-read each time so role, mute and ban changes apply immediately.
+            const account = sessionUser ? await storage.getUser(sessionUser.twitterId) : null;
+            const text = msg && typeof msg.text === 'string' ? msg.text.trim() : '';
+
+            if (Moderation.isBanned(account)) {
+                return socket.emit('chat error', { error: 'You are banned from chat.' });
+            }
+            if (account && moderation.isCommand(text)) {
+                const result = await moderation.runCommand(account, text);
+                return socket.emit(result.error ? 'chat error' : 'chat notice', result);
+            }
+            if (Moderation.isMuted(account)) {
+                return socket.emit('chat error', { error: `You are muted until ${account.mutedUntil.toUTCString()}.` });
+            }
+
+            const result = chatFilter.check(account, text);
+            if (result.error) {
+                return socket.emit('chat error', { error: result.error });
+            }
+
+            await postMessage({ user: '@' + account.username, text: result.text });
+        } catch (err) {
+            console.error(err);
+            socket.emit('chat error', { error: 'Message could not be sent.' });
+        }
+    });
+
+    // History comes in pages: { before: id } for older messages, { after: id } to catch up
+    // after a reconnect, or nothing for the latest page. Messages are oldest first.
+    socket.on('chat history', async (data) => {
+        try {
+            const before = messageIdParam(data && data.before);
+            const after = messageIdParam(data && data.after);
+            // One row more than the page holds is fetched, only to say whether there is more
+            let messages, hasMore;
+            if (after !== null) {
+                const rows = await storage.getMessagesAfter(after, Chat.CATCH_UP_BATCH_SIZE + 1);
+                hasMore = rows.length > Chat.CATCH_UP_BATCH_SIZE;
+                messages = rows.slice(0, Chat.CATCH_UP_BATCH_SIZE);
+            } else {
+                const rows = await storage.getMessages({ limit: Chat.HISTORY_PAGE_SIZE + 1, before: before });
+                hasMore = rows.length > Chat.HISTORY_PAGE_SIZE;
+                messages = rows.slice(0, Chat.HISTORY_PAGE_SIZE).reverse();
+            }
+            const reactions = await storage.getReactions(messages.map(m => m.id));
+            socket.emit('chat history', {
+                before: after !== null ? null : before,
+                after: after,
+                hasMore: hasMore,
+                messages: messages.map(m => ({ ...m, reactions: reactions[String(m.id)] || {} })),
+                palette: Chat.REACTIONS
+            });
+        } catch (err) {
+            console.error(err);
+            socket.emit('chat error', { error: 'Chat history could not be loaded.' });
+        }
+    });
+
+    // Toggles the player's reaction on a message and sends everyone its new reactions
+    socket.on('chat react', async (data) => {
+        try {
+            const account = sessionUser ? await storage.getUser(sessionUser.twitterId) : null;
+            if (Moderation.isBanned(account)) {
+                return socket.emit('chat error', { error: 'You are banned from chat.' });
+            }
+            if (Moderation.isMuted(account)) {
+                return socket.emit('chat error', { error: `You are muted until ${account.mutedUntil.toUTCString()}.` });
+            }
+            const result = chatFilter.checkReaction(account, data && data.emoji);
+            if (result.error) {
+                return socket.emit('chat error', { error: result.error });
+            }
+            const id = messageIdParam(data && data.id);
+            const message = id !== null ? await storage.getMessage(id) : null;
+            if (!message) {
+                return socket.emit('chat error', { error: 'That message is no longer there.' });
+            }
+            await storage.toggleReaction(message.id, account.twitterId, result.emoji);
+            const reactions = await storage.getReactions([message.id]);
+            io.emit('chat reactions', { id: message.id, reactions: reactions[String(message.id)] || {} });
+        } catch (err) {
+            console.error(err);
+            socket.emit('chat error', { error: 'Reaction could not be sent.' });
+        }
+    });
+
+    // "Is typing" goes to everyone else, throttled per socket; guests, banned and muted players can't type
+    let lastTyping = 0;
+    socket.on('chat typing', async () => {
+        const now = Date.now();
+        if (!sessionUser || now - lastTyping < Chat.TYPING_INTERVAL_MS) return;
+        lastTyping = now;
+        try {
+            const account = await storage.getUser(sessionUser.twitterId);
+            if (!account || Moderation.isBanned(account) || Moderation.isMuted(account)) return;
+            socket.broadcast.emit('chat typing', { username: account.username });
+        } catch (err) {
+            console.error(err);
+        }
     });
 
-    socket.on('chat message', (msg) => {
-        // msg should be { user: "username", text: "hello" }
-        const stmt = db.prepare("INSERT INTO messages (user, text) VALUES (?, ?)");
-        stmt.run(msg.user, msg.text);
-        stmt.finalize();
-        
-        io.emit('chat message', msg);
+    // Reports are refused from banned and muted players and rate limited like messages, since
+    // each one is passed on to every connected admin
+    socket.on('report message', async (data) => {
+        try {
+            const account = sessionUser ? await storage.getUser(sessionUser.twitterId) : null;
+            if (Moderation.isBanned(account)) {
+                return socket.emit('chat error', { error: 'You are banned from chat.' });
+            }
+            if (Moderation.isMuted(account)) {
+                return socket.emit('chat error', { error: `You are muted until ${account.mutedUntil.toUTCString()}.` });
+            }
+            const allowed = chatFilter.checkReport(account);
+            if (allowed.error) {
+                return socket.emit('chat error', { error: allowed.error });
+            }
+            const result = await moderation.report(account, data && data.id, data && data.reason);
+            if (result.error) {
+                return socket.emit('chat error', { error: result.error });
+            }
+            socket.emit('chat notice', { notice: 'Thanks, the moderators have been notified.' });
+            io.to('admins').emit('chat notice', {
+                notice: `⚑ @${account.username} reported message ${result.message.id} (${result.message.user}: "${result.message.text}")${result.reason ? ' — ' + result.reason : ''}`
+            });
+        } catch (err) {
+            console.error(err);
+            socket.emit('chat error', { error: 'Report could not be sent.' });
+        }
+    });
+
+    // Versus lobby actions need a logged-in, unbanned account, re-read like chat does
+    function onVersus(event, handler) {
+        socket.on(event, async (data) => {
+            try {
+                const account = sessionUser ? await storage.getUser(sessionUser.twitterId) : null;
+                if (!account) return socket.emit('versus error', { error: 'Connect X to play versus.' });
+                if (Moderation.isBanned(account)) return socket.emit('versus error', { error: 'This account is banned.' });
+                await handler(account, data);
+            } catch (err) {
+                console.error(err);
+                socket.emit('versus error', { error: 'Something went wrong. Try again.' });
+            }
+        });
+    }
+
+    onVersus('versus queue', (account) => versus.queue(socket, account));
+    onVersus('versus host', (account) => versus.host(socket, account));
+    onVersus('versus join', (account, data) => versus.join(socket, account, data && data.code));
+    socket.on('versus update', (data) => versus.update(socket, data));
+    socket.on('versus finish', (data) => versus.finish(socket, data).catch(err => console.error(err)));
+    socket.on('versus leave', () => versus.leave(socket).catch(err => console.error(err)));
+    // Dropping out of a match counts as a forfeit
+    socket.on('disconnect', () => versus.leave(socket).catch(err => console.error(err)));
+    socket.on('disconnect', () => {
+        presence.leave(socket.id);
+        presenceChanged();
     });
+
+    try {
+        // Admins get report notifications
+        const account = sessionUser ? await storage.getUser(sessionUser.twitterId) : null;
+        if (Moderation.isAdmin(account)) socket.join('admins');
+        // Friends' "beat your best" notices go to every tab the player has open
+        if (account) socket.join(`user:${account.twitterId}`);
+
+        // Clients ask for history themselves ('chat history'), so a reconnect only fetches what it missed
+        presence.join(socket.id, account && !Moderation.isBanned(account) ? account : null);
+        socket.emit('chat presence', presence.list());
+        presenceChanged();
+    } catch (err) {
+        console.error(err);
+    }
 });
 
 app.listen = function() {
@@ -214,6 +1315,22 @@ app.listen = function() {
     return server.listen.apply(server, arguments);
 };
 
-server.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-});
+storage.init()
+    .then(() => {
+        server.listen(PORT, () => {
+            console.log(`Server running on http://localhost:${PORT}`);
+        });
+        pruneReplays();
+        setInterval(pruneReplays, 60 * 60 * 1000);
+        closeFinished();
+        setInterval(closeFinished, 60 * 1000);
+        // Deliveries queued before a restart go out now
+        webhooks.deliverDue();
+        setInterval(() => webhooks.deliverDue(), Webhooks.POLL_MS);
+        webhooks.prune();
+        setInterval(() => webhooks.prune(), 60 * 60 * 1000);
+    })
+    .catch(err => {
+        console.error('Storage initialization failed:', err);
+        process.exit(1);
+    });
@@ -0,0 +1,29 @@
+// --- STORAGE ADAPTERS ---
+// Every backend exposes the same promise-based interface (see test/storage.test.js
+// for the contract). Adapters are required lazily so a deployment only needs the
+// driver for the backend it actually uses.
+const ADAPTERS = {
+    memory: () => require('./memory'),
+    sqlite: () => require('./sqlite'),
+    supabase: () => require('./supabase'),
+    mongo: () => require('./mongo')
+};
+
+// Older deployments were started as server_supabase.js / server_mongo.js without a
+// STORAGE variable, so fall back to whichever backend they have credentials for.
+function defaultBackend() {
+    if (process.env.STORAGE) return process.env.STORAGE;
+    if (process.env.SUPABASE_URL) return 'supabase';
+    if (process.env.MONGO_URI) return 'mongo';
+    return 'sqlite';
+}
+
+function createStorage(name = defaultBackend(), options = {}) {
+    const load = ADAPTERS[name];
+    if (!load) {
+        throw new Error(`Unknown STORAGE backend "${name}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+    return load()(options);
+}
+
+module.exports = { createStorage, backends: Object.keys(ADAPTERS) };
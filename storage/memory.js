@@ -0,0 +1,530 @@
+// In-memory storage. Nothing survives a restart; meant for local play and tests.
+module.exports = function createMemoryStorage() {
+    const users = new Map();
+    const scores = [];
+    const messages = [];
+    const reports = [];
+    const moderationLog = [];
+    const replays = new Map();
+    const matches = [];
+    const userStats = new Map();
+    const userSettings = new Map();
+    const achievements = [];
+    const dailyAttempts = new Map(); // `${date}:${twitterId}` -> { date, twitterId, score, startedAt, voided }
+    const seasonArchives = new Map(); // seasonId -> { standings, archivedAt }
+    const tournaments = [];
+    const tournamentEntries = new Map(); // `${tournamentId}:${twitterId}` -> { tournamentId, twitterId, attempts, bestScore, voided }
+    const webhookDeliveries = [];
+    const apiKeys = [];
+    const reactions = []; // { messageId, twitterId, emoji, createdAt }, oldest first
+    const follows = []; // { followerId, followeeId, createdAt }
+    let lastWebhookDeliveryId = 0; // Pruning removes deliveries, so ids can't come from the length
+
+    // Moderation fields every user starts with
+    const USER_DEFAULTS = { role: 'user', mutedUntil: null, banned: false };
+    const STATUS_FIELDS = ['role', 'mutedUntil', 'banned'];
+
+    // Best score per known user from `since` up to (not including) `until`, best first (ties by twitterId)
+    function bestScores(since, until, twitterIds = null) {
+        const only = twitterIds && new Set(twitterIds);
+        const best = new Map();
+        scores.forEach(s => {
+            if (s.voided || (since && s.createdAt < since) || (until && s.createdAt >= until)) return;
+            if (only && !only.has(s.twitterId)) return;
+            if (!best.has(s.twitterId) || s.score > best.get(s.twitterId).score) best.set(s.twitterId, s);
+        });
+
+        return Array.from(best, ([twitterId, s]) => ({ twitterId, user: users.get(twitterId), highScore: s.score, scoreId: s.id }))
+            .filter(row => row.user)
+            .sort((a, b) => b.highScore - a.highScore || (a.twitterId < b.twitterId ? -1 : 1));
+    }
+
+    // Known users among `list`, by handle like searchUsers
+    function byHandle(list) {
+        return list
+            .filter(Boolean)
+            .sort((a, b) => (a.username.toLowerCase() < b.username.toLowerCase() ? -1 : 1))
+            .map(u => ({ ...u }));
+    }
+
+    return {
+        async init() {},
+
+        async close() {},
+
+        sessionStore() {
+            return null;
+        },
+
+        async saveUser(user) {
+            users.set(user.twitterId, { ...USER_DEFAULTS, ...users.get(user.twitterId), ...user });
+        },
+
+        async getUser(twitterId) {
+            const user = users.get(twitterId);
+            return user ? { ...user } : null;
+        },
+
+        async countUsers() {
+            return users.size;
+        },
+
+        async findUserByUsername(username) {
+            const wanted = username.toLowerCase();
+            const user = Array.from(users.values()).find(u => u.username.toLowerCase() === wanted);
+            return user ? { ...user } : null;
+        },
+
+        async searchUsers(query, { limit = 20 } = {}) {
+            const wanted = query.toLowerCase();
+            return Array.from(users.values())
+                .filter(u => u.username.toLowerCase().includes(wanted))
+                .sort((a, b) => (a.username.toLowerCase() < b.username.toLowerCase() ? -1 : 1))
+                .slice(0, limit)
+                .map(u => ({ ...u }));
+        },
+
+        async getUsersByIds(twitterIds) {
+            return byHandle(Array.from(new Set(twitterIds), id => users.get(id)));
+        },
+
+        async follow(followerId, followeeId) {
+            if (follows.some(f => f.followerId === followerId && f.followeeId === followeeId)) return false;
+            follows.push({ followerId, followeeId, createdAt: new Date() });
+            return true;
+        },
+
+        async unfollow(followerId, followeeId) {
+            const i = follows.findIndex(f => f.followerId === followerId && f.followeeId === followeeId);
+            if (i === -1) return false;
+            follows.splice(i, 1);
+            return true;
+        },
+
+        async getFollowing(twitterId) {
+            return byHandle(follows.filter(f => f.followerId === twitterId).map(f => users.get(f.followeeId)));
+        },
+
+        async getFollowers(twitterId) {
+            return byHandle(follows.filter(f => f.followeeId === twitterId).map(f => users.get(f.followerId)));
+        },
+
+        async updateUserStatus(twitterId, changes) {
+            const user = users.get(twitterId);
+            if (!user) return;
+            STATUS_FIELDS.forEach(field => {
+                if (field in changes) user[field] = changes[field];
+            });
+        },
+
+        async addScore(twitterId, score, run = {}) {
+            const id = scores.length + 1;
+            scores.push({
+                id, twitterId, score,
+                frames: run.frames || null, catches: run.catches || null, deathSource: run.deathSource || null,
+                voided: false, createdAt: new Date()
+            });
+            return id;
+        },
+
+        async getUserRuns(twitterId, { limit = Infinity, offset = 0, includeVoided = false } = {}) {
+            return scores
+                .filter(s => s.twitterId === twitterId && (includeVoided || !s.voided))
+                .reverse()
+                .slice(offset, offset + limit)
+                .map(({ id, score, frames, catches, deathSource, voided, createdAt }) => ({ id, score, frames, catches, deathSource, voided, createdAt }));
+        },
+
+        async getRecentRuns({ limit = 20, before = null } = {}) {
+            return scores
+                .filter(s => !s.voided && users.has(s.twitterId) && (before === null || s.id < Number(before)))
+                .reverse()
+                .slice(0, limit)
+                .map(s => {
+                    const user = users.get(s.twitterId);
+                    return {
+                        id: s.id, username: user.username, photoUrl: user.photoUrl, profileUrl: user.profileUrl,
+                        score: s.score, frames: s.frames, catches: s.catches, deathSource: s.deathSource, createdAt: s.createdAt
+                    };
+                });
+        },
+
+        async voidScore(id) {
+            const s = scores.find(s => String(s.id) === String(id));
+            if (!s || s.voided) return false;
+            s.voided = true;
+            return true;
+        },
+
+        async voidUserScores(twitterId) {
+            let count = 0;
+            scores.forEach(s => {
+                if (s.twitterId === twitterId && !s.voided) { s.voided = true; count++; }
+            });
+            return count;
+        },
+
+        async voidUserEntries(twitterId) {
+            let count = 0;
+            [...dailyAttempts.values(), ...tournamentEntries.values()].forEach(e => {
+                if (e.twitterId === twitterId && !e.voided) { e.voided = true; count++; }
+            });
+            return count;
+        },
+
+        async getScore(id) {
+            const s = scores.find(s => String(s.id) === String(id));
+            const user = s && users.get(s.twitterId);
+            if (!user) return null;
+            return { id: s.id, twitterId: s.twitterId, username: user.username, photoUrl: user.photoUrl, score: s.score, deathSource: s.deathSource, voided: s.voided, createdAt: s.createdAt };
+        },
+
+        async getLeaderboard({ since = null, until = null, limit = 20, offset = 0, twitterIds = null } = {}) {
+            return bestScores(since, until, twitterIds)
+                .slice(offset, offset + limit)
+                .map(({ user, highScore, scoreId }) => ({
+                    username: user.username,
+                    photoUrl: user.photoUrl,
+                    profileUrl: user.profileUrl,
+                    highScore,
+                    scoreId
+                }));
+        },
+
+        async getUserRank(twitterId, { since = null, until = null } = {}) {
+            const board = bestScores(since, until);
+            const index = board.findIndex(row => row.twitterId === twitterId);
+            return index === -1 ? null : { rank: index + 1, highScore: board[index].highScore };
+        },
+
+        async saveReplay(replay) {
+            replays.set(String(replay.scoreId), { ...replay, createdAt: new Date() });
+        },
+
+        async getReplay(scoreId) {
+            const replay = replays.get(String(scoreId));
+            return replay ? { ...replay } : null;
+        },
+
+        async pruneReplays(olderThan, keepScoreIds) {
+            const keep = new Set(keepScoreIds.map(String));
+            let removed = 0;
+            replays.forEach((replay, key) => {
+                if (replay.createdAt < olderThan && !keep.has(key)) { replays.delete(key); removed++; }
+            });
+            return removed;
+        },
+
+        async addMatch(match) {
+            const id = matches.length + 1;
+            matches.push({ id, ...match, createdAt: new Date() });
+            return id;
+        },
+
+        async getMatchRecord(twitterId) {
+            const record = { wins: 0, losses: 0, draws: 0 };
+            matches.forEach(m => {
+                if (m.player1Id !== twitterId && m.player2Id !== twitterId) return;
+                if (m.winnerId === null) record.draws++;
+                else if (m.winnerId === twitterId) record.wins++;
+                else record.losses++;
+            });
+            return record;
+        },
+
+        async startDailyAttempt(date, twitterId) {
+            const key = `${date}:${twitterId}`;
+            if (dailyAttempts.has(key)) return false;
+            dailyAttempts.set(key, { date, twitterId, score: null, startedAt: new Date(), voided: false });
+            return true;
+        },
+
+        async finishDailyAttempt(date, twitterId, score) {
+            const attempt = dailyAttempts.get(`${date}:${twitterId}`);
+            if (!attempt || attempt.score !== null) return false;
+            attempt.score = score;
+            return true;
+        },
+
+        async getDailyAttempt(date, twitterId) {
+            const attempt = dailyAttempts.get(`${date}:${twitterId}`);
+            return attempt ? { score: attempt.score, startedAt: attempt.startedAt } : null;
+        },
+
+        async getDailyLeaderboard(date, { limit = 20, offset = 0 } = {}) {
+            return Array.from(dailyAttempts.values())
+                .filter(a => a.date === date && a.score !== null && !a.voided && users.has(a.twitterId))
+                .sort((a, b) => b.score - a.score || (a.twitterId < b.twitterId ? -1 : 1))
+                .slice(offset, offset + limit)
+                .map(a => {
+                    const user = users.get(a.twitterId);
+                    return { username: user.username, photoUrl: user.photoUrl, profileUrl: user.profileUrl, score: a.score };
+                });
+        },
+
+        async archiveSeason(seasonId, standings) {
+            if (seasonArchives.has(seasonId)) return false;
+            seasonArchives.set(seasonId, { standings: JSON.parse(JSON.stringify(standings)), archivedAt: new Date() });
+            return true;
+        },
+
+        async listArchivedSeasons() {
+            return Array.from(seasonArchives.keys());
+        },
+
+        async getSeasonStandings(seasonId) {
+            const archive = seasonArchives.get(seasonId);
+            return archive ? JSON.parse(JSON.stringify(archive.standings)) : null;
+        },
+
+        async addTournament(tournament) {
+            const id = tournaments.length + 1;
+            tournaments.push({
+                id, name: tournament.name, startsAt: tournament.startsAt, endsAt: tournament.endsAt,
+                maxAttempts: tournament.maxAttempts, createdBy: tournament.createdBy || null, closedAt: null
+            });
+            return id;
+        },
+
+        async getTournament(id) {
+            const t = tournaments.find(t => String(t.id) === String(id));
+            return t ? { ...t } : null;
+        },
+
+        async listTournaments({ since = null } = {}) {
+            return tournaments
+                .filter(t => !since || t.endsAt >= since)
+                .sort((a, b) => a.startsAt - b.startsAt || a.id - b.id)
+                .map(t => ({ ...t }));
+        },
+
+        async closeTournament(id) {
+            const t = tournaments.find(t => String(t.id) === String(id));
+            if (!t || t.closedAt) return false;
+            t.closedAt = new Date();
+            return true;
+        },
+
+        async startTournamentAttempt(id, twitterId, maxAttempts) {
+            const key = `${id}:${twitterId}`;
+            if (!tournamentEntries.has(key)) tournamentEntries.set(key, { tournamentId: String(id), twitterId, attempts: 0, bestScore: null, voided: false });
+            const entry = tournamentEntries.get(key);
+            if (entry.attempts >= maxAttempts) return false;
+            entry.attempts++;
+            return true;
+        },
+
+        async finishTournamentAttempt(id, twitterId, score) {
+            const entry = tournamentEntries.get(`${id}:${twitterId}`);
+            if (!entry || (entry.bestScore !== null && entry.bestScore >= score)) return false;
+            entry.bestScore = score;
+            return true;
+        },
+
+        async getTournamentEntry(id, twitterId) {
+            const entry = tournamentEntries.get(`${id}:${twitterId}`);
+            return entry ? { attempts: entry.attempts, bestScore: entry.bestScore } : null;
+        },
+
+        async getTournamentLeaderboard(id, { limit = 20, offset = 0 } = {}) {
+            return Array.from(tournamentEntries.values())
+                .filter(e => e.tournamentId === String(id) && e.bestScore !== null && !e.voided && users.has(e.twitterId))
+                .sort((a, b) => b.bestScore - a.bestScore || (a.twitterId < b.twitterId ? -1 : 1))
+                .slice(offset, offset + limit)
+                .map(e => {
+                    const user = users.get(e.twitterId);
+                    return { username: user.username, photoUrl: user.photoUrl, profileUrl: user.profileUrl, score: e.bestScore };
+                });
+        },
+
+        async addWebhookDelivery(delivery) {
+            const id = ++lastWebhookDeliveryId;
+            webhookDeliveries.push({
+                id, hookId: delivery.hookId, event: delivery.event, payload: delivery.payload,
+                status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null, createdAt: new Date()
+            });
+            return id;
+        },
+
+        async getDueWebhookDeliveries(now, limit) {
+            return webhookDeliveries
+                .filter(d => d.status === 'pending' && d.nextAttemptAt <= now)
+                .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt || a.id - b.id)
+                .slice(0, limit)
+                .map(d => ({ ...d }));
+        },
+
+        async claimWebhookDelivery(id, now, leaseUntil) {
+            const d = webhookDeliveries.find(d => String(d.id) === String(id));
+            if (!d || d.status !== 'pending' || d.nextAttemptAt > now) return false;
+            d.nextAttemptAt = leaseUntil;
+            return true;
+        },
+
+        async updateWebhookDelivery(id, changes) {
+            const d = webhookDeliveries.find(d => String(d.id) === String(id));
+            if (!d) return;
+            d.status = changes.status;
+            d.attempts = changes.attempts;
+            d.lastError = changes.lastError || null;
+            if (changes.nextAttemptAt) d.nextAttemptAt = changes.nextAttemptAt;
+        },
+
+        async getRecentWebhookDeliveries(limit) {
+            return webhookDeliveries.slice(-limit).reverse().map(d => ({ ...d }));
+        },
+
+        async pruneWebhookDeliveries(olderThan) {
+            for (let i = webhookDeliveries.length - 1; i >= 0; i--) {
+                const d = webhookDeliveries[i];
+                if (d.status !== 'pending' && d.createdAt < olderThan) webhookDeliveries.splice(i, 1);
+            }
+        },
+
+        async addApiKey(key) {
+            const id = apiKeys.length + 1;
+            apiKeys.push({
+                id, name: key.name, keyHash: key.keyHash, prefix: key.prefix, rateLimit: key.rateLimit,
+                createdBy: key.createdBy || null, createdAt: new Date(), revokedAt: null
+            });
+            return id;
+        },
+
+        async findApiKey(keyHash) {
+            const key = apiKeys.find(k => k.keyHash === keyHash);
+            if (!key) return null;
+            const { keyHash: hash, ...rest } = key;
+            return rest;
+        },
+
+        async listApiKeys() {
+            return apiKeys.slice().reverse().map(({ keyHash, ...rest }) => rest);
+        },
+
+        async revokeApiKey(id) {
+            const key = apiKeys.find(k => String(k.id) === String(id));
+            if (!key || key.revokedAt) return false;
+            key.revokedAt = new Date();
+            return true;
+        },
+
+        async getUserStats(twitterId) {
+            const stats = userStats.get(twitterId);
+            return stats ? JSON.parse(JSON.stringify(stats)) : null;
+        },
+
+        // Adds `add` to and raises to `max` the number at each path (see
+        // Achievements.statsChanges), creating what's missing. Resolves to the new stats.
+        async addUserStats(twitterId, { add, max }) {
+            const stats = userStats.get(twitterId) || {};
+            const update = (path, combine) => {
+                const parent = path.slice(0, -1).reduce((obj, key) => (obj[key] = obj[key] || {}), stats);
+                const key = path[path.length - 1];
+                parent[key] = combine(parent[key] || 0);
+            };
+            add.forEach(([path, value]) => update(path, current => current + value));
+            max.forEach(([path, value]) => update(path, current => Math.max(current, value)));
+            userStats.set(twitterId, stats);
+            return JSON.parse(JSON.stringify(stats));
+        },
+
+        async getSettings(twitterId) {
+            const settings = userSettings.get(twitterId);
+            return settings ? JSON.parse(JSON.stringify(settings)) : null;
+        },
+
+        async saveSettings(twitterId, settings) {
+            userSettings.set(twitterId, JSON.parse(JSON.stringify(settings)));
+        },
+
+        async getAchievements(twitterId) {
+            return achievements.filter(a => a.twitterId === twitterId).map(a => ({ id: a.id, unlockedAt: a.unlockedAt }));
+        },
+
+        async unlockAchievement(twitterId, id) {
+            if (achievements.some(a => a.twitterId === twitterId && a.id === id)) return false;
+            achievements.push({ twitterId, id, unlockedAt: new Date() });
+            return true;
+        },
+
+        async addMessage(message) {
+            const id = messages.length + 1;
+            messages.push({ id, user: message.user, text: message.text, deleted: false, createdAt: new Date() });
+            return id;
+        },
+
+        async getRecentMessages(limit) {
+            return messages.filter(m => !m.deleted).slice(-limit).map(m => ({ id: m.id, user: m.user, text: m.text }));
+        },
+
+        async getMessages({ limit = 50, before = null } = {}) {
+            return messages
+                .filter(m => !m.deleted && (before === null || m.id < Number(before)))
+                .slice(-limit)
+                .reverse()
+                .map(m => ({ id: m.id, user: m.user, text: m.text, createdAt: m.createdAt }));
+        },
+
+        async getMessagesAfter(afterId, limit) {
+            return messages
+                .filter(m => !m.deleted && m.id > Number(afterId))
+                .slice(0, limit)
+                .map(m => ({ id: m.id, user: m.user, text: m.text, createdAt: m.createdAt }));
+        },
+
+        async toggleReaction(messageId, twitterId, emoji) {
+            const i = reactions.findIndex(r => String(r.messageId) === String(messageId) && r.twitterId === twitterId && r.emoji === emoji);
+            if (i >= 0) {
+                reactions.splice(i, 1);
+                return false;
+            }
+            reactions.push({ messageId: String(messageId), twitterId, emoji, createdAt: new Date() });
+            return true;
+        },
+
+        async getReactions(messageIds) {
+            const wanted = new Set(messageIds.map(String));
+            const byMessage = {};
+            reactions.forEach(r => {
+                const user = users.get(r.twitterId);
+                if (!wanted.has(r.messageId) || !user) return;
+                const emojis = byMessage[r.messageId] || (byMessage[r.messageId] = {});
+                (emojis[r.emoji] || (emojis[r.emoji] = [])).push(user.username);
+            });
+            return byMessage;
+        },
+
+        async getMessage(id) {
+            const m = messages.find(m => String(m.id) === String(id) && !m.deleted);
+            return m ? { id: m.id, user: m.user, text: m.text } : null;
+        },
+
+        async deleteMessage(id) {
+            const m = messages.find(m => String(m.id) === String(id) && !m.deleted);
+            if (!m) return false;
+            m.deleted = true;
+            return true;
+        },
+
+        async addReport(report) {
+            const id = reports.length + 1;
+            reports.push({ id, messageId: report.messageId, reporterId: report.reporterId, reason: report.reason, createdAt: new Date() });
+            return id;
+        },
+
+        async addModerationLog(entry) {
+            moderationLog.push({
+                id: moderationLog.length + 1,
+                moderatorId: entry.moderatorId,
+                action: entry.action,
+                targetId: entry.targetId,
+                details: entry.details,
+                createdAt: new Date()
+            });
+        },
+
+        async getModerationLog(limit) {
+            return moderationLog.slice(-limit).reverse().map(entry => ({ ...entry }));
+        }
+    };
+};
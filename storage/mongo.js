@@ -0,0 +1,769 @@
+const { MongoClient, ObjectId } = require('mongodb');
+const MongoStore = require('connect-mongo');
+
+// MongoDB storage (MONGO_URI). Also persists Express sessions in the same database.
+// Document -> the user shape the app uses
+function toUser(doc) {
+    if (!doc) return null;
+    return {
+        twitterId: doc.twitterId,
+        username: doc.username,
+        displayName: doc.displayName,
+        photoUrl: doc.photoUrl,
+        profileUrl: doc.profileUrl,
+        role: doc.role || 'user',
+        mutedUntil: doc.mutedUntil || null,
+        banned: !!doc.banned
+    };
+}
+
+// Aggregation expressions for the number at a path in a user_stats document's stats, and for
+// stats with it replaced. $getField and $setField take each key as it is, where $inc and $max
+// would read the dot in "gg-bomb.png" as nesting.
+function statAt(path) {
+    return path.reduce((input, key) => ({ $getField: { field: { $literal: key }, input: input } }), '$stats');
+}
+
+function withStat(input, path, value) {
+    const [key, ...rest] = path;
+    const field = { $literal: key };
+    const inner = rest.length ? withStat({ $ifNull: [{ $getField: { field: field, input: input } }, { $literal: {} }] }, rest, value) : value;
+    return { $setField: { field: field, input: input, value: inner } };
+}
+
+function toTournament(doc) {
+    if (!doc) return null;
+    return {
+        id: doc._id.toString(),
+        name: doc.name,
+        startsAt: doc.startsAt,
+        endsAt: doc.endsAt,
+        maxAttempts: doc.maxAttempts,
+        createdBy: doc.createdBy || null,
+        closedAt: doc.closedAt || null
+    };
+}
+
+function toApiKey(doc) {
+    if (!doc) return null;
+    return {
+        id: doc._id.toString(),
+        name: doc.name,
+        prefix: doc.prefix,
+        rateLimit: doc.rateLimit,
+        createdBy: doc.createdBy || null,
+        createdAt: doc.timestamp,
+        revokedAt: doc.revokedAt || null
+    };
+}
+
+function toWebhookDelivery(doc) {
+    return {
+        id: doc._id.toString(),
+        hookId: doc.hookId,
+        event: doc.event,
+        payload: doc.payload,
+        status: doc.status,
+        attempts: doc.attempts,
+        nextAttemptAt: doc.nextAttemptAt,
+        lastError: doc.lastError || null,
+        createdAt: doc.timestamp
+    };
+}
+
+// Ids reach us as strings from chat commands; anything malformed simply matches nothing
+function toObjectId(id) {
+    return ObjectId.isValid(String(id)) ? new ObjectId(String(id)) : null;
+}
+
+module.exports = function createMongoStorage(options = {}) {
+    const client = new MongoClient(options.uri || process.env.MONGO_URI);
+    const db = client.db(options.dbName || 'tiedrop');
+
+    // Pipeline stages for each known user's best score from `since` up to (not including)
+    // `until`, best first (ties by twitterId), with the user's profile joined in as `u`.
+    function bestScores(since, until, twitterIds = null) {
+        const match = { voided: { $ne: true } };
+        if (since || until) match.timestamp = { ...(since && { $gte: since }), ...(until && { $lt: until }) };
+        if (twitterIds) match.twitterId = { $in: twitterIds };
+        return [
+            { $match: match },
+            { $sort: { score: -1 } },
+            { $group: {
+                _id: "$twitterId",
+                highScore: { $first: "$score" },
+                scoreId: { $first: "$_id" }
+            }},
+            { $lookup: { from: "users", localField: "_id", foreignField: "twitterId", as: "u" } },
+            { $unwind: "$u" },
+            { $sort: { highScore: -1, _id: 1 } }
+        ];
+    }
+
+    // The users with these ids, by handle like searchUsers
+    async function usersByHandle(twitterIds) {
+        const rows = await db.collection('users')
+            .find({ twitterId: { $in: twitterIds } })
+            .collation({ locale: 'en', strength: 2 })
+            .sort({ username: 1 })
+            .toArray();
+        return rows.map(toUser);
+    }
+
+    return {
+        async init() {
+            await client.connect();
+            console.log('Connected to MongoDB');
+
+            // Rows written with upserts stay one per key only if the key is unique: without the
+            // index, two requests racing on the same key can both insert
+            const unique = { unique: true };
+            await Promise.all([
+                db.collection('users').createIndex({ twitterId: 1 }, unique),
+                db.collection('replays').createIndex({ scoreId: 1 }, unique),
+                db.collection('season_archives').createIndex({ seasonId: 1 }, unique),
+                db.collection('tournament_entries').createIndex({ tournamentId: 1, twitterId: 1 }, unique),
+                db.collection('user_stats').createIndex({ twitterId: 1 }, unique),
+                db.collection('user_settings').createIndex({ twitterId: 1 }, unique),
+                db.collection('achievements').createIndex({ twitterId: 1, achievementId: 1 }, unique),
+                db.collection('daily_attempts').createIndex({ date: 1, twitterId: 1 }, unique),
+                db.collection('message_reactions').createIndex({ messageId: 1, twitterId: 1, emoji: 1 }, unique),
+                db.collection('follows').createIndex({ followerId: 1, followeeId: 1 }, unique),
+                db.collection('api_keys').createIndex({ keyHash: 1 }, unique)
+            ]);
+            // Lookups the leaderboards, histories and queues make on every request
+            await Promise.all([
+                db.collection('users').createIndex({ username: 1 }, { collation: { locale: 'en', strength: 2 } }),
+                db.collection('scores').createIndex({ voided: 1, timestamp: 1, score: -1 }),
+                db.collection('scores').createIndex({ twitterId: 1, _id: -1 }),
+                db.collection('follows').createIndex({ followeeId: 1 }),
+                db.collection('webhook_deliveries').createIndex({ status: 1, nextAttemptAt: 1 })
+            ]);
+        },
+
+        close() {
+            return client.close();
+        },
+
+        sessionStore() {
+            return MongoStore.create({ client: client });
+        },
+
+        async saveUser(user) {
+            await db.collection('users').updateOne(
+                { twitterId: user.twitterId },
+                { $set: user },
+                { upsert: true }
+            );
+        },
+
+        async getUser(twitterId) {
+            return toUser(await db.collection('users').findOne({ twitterId: twitterId }));
+        },
+
+        countUsers() {
+            return db.collection('users').countDocuments();
+        },
+
+        async findUserByUsername(username) {
+            return toUser(await db.collection('users').findOne(
+                { username: username },
+                { collation: { locale: 'en', strength: 2 } }
+            ));
+        },
+
+        async searchUsers(query, { limit = 20 } = {}) {
+            const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const rows = await db.collection('users')
+                .find({ username: { $regex: escaped, $options: 'i' } })
+                .collation({ locale: 'en', strength: 2 })
+                .sort({ username: 1 })
+                .limit(limit)
+                .toArray();
+            return rows.map(toUser);
+        },
+
+        getUsersByIds(twitterIds) {
+            return usersByHandle(twitterIds);
+        },
+
+        async follow(followerId, followeeId) {
+            const result = await db.collection('follows').updateOne(
+                { followerId: followerId, followeeId: followeeId },
+                { $setOnInsert: { timestamp: new Date() } },
+                { upsert: true }
+            );
+            return result.upsertedCount > 0;
+        },
+
+        async unfollow(followerId, followeeId) {
+            const result = await db.collection('follows').deleteOne({ followerId: followerId, followeeId: followeeId });
+            return result.deletedCount > 0;
+        },
+
+        async getFollowing(twitterId) {
+            const rows = await db.collection('follows').find({ followerId: twitterId }).toArray();
+            return usersByHandle(rows.map(row => row.followeeId));
+        },
+
+        async getFollowers(twitterId) {
+            const rows = await db.collection('follows').find({ followeeId: twitterId }).toArray();
+            return usersByHandle(rows.map(row => row.followerId));
+        },
+
+        async updateUserStatus(twitterId, changes) {
+            const update = {};
+            ['role', 'mutedUntil', 'banned'].forEach(field => {
+                if (field in changes) update[field] = changes[field];
+            });
+            if (!Object.keys(update).length) return;
+            await db.collection('users').updateOne({ twitterId: twitterId }, { $set: update });
+        },
+
+        async addScore(twitterId, score, run = {}) {
+            const result = await db.collection('scores').insertOne({
+                twitterId: twitterId,
+                score: score,
+                frames: run.frames || null,
+                catches: run.catches || null,
+                deathSource: run.deathSource || null,
+                timestamp: new Date()
+            });
+            return result.insertedId.toString();
+        },
+
+        async getUserRuns(twitterId, { limit = 0, offset = 0, includeVoided = false } = {}) {
+            const filter = includeVoided ? { twitterId: twitterId } : { twitterId: twitterId, voided: { $ne: true } };
+            // limit(0) is no limit
+            const rows = await db.collection('scores').find(filter).sort({ _id: -1 }).skip(offset).limit(limit).toArray();
+            return rows.map(row => ({
+                id: row._id.toString(),
+                score: row.score,
+                frames: row.frames || null,
+                catches: row.catches || null,
+                deathSource: row.deathSource || null,
+                voided: !!row.voided,
+                createdAt: row.timestamp
+            }));
+        },
+
+        async getRecentRuns({ limit = 20, before = null } = {}) {
+            const match = { voided: { $ne: true } };
+            if (before !== null) match._id = { $lt: toObjectId(before) };
+            const rows = await db.collection('scores').aggregate([
+                { $match: match },
+                { $sort: { _id: -1 } },
+                { $limit: limit },
+                { $lookup: { from: "users", localField: "twitterId", foreignField: "twitterId", as: "u" } },
+                { $unwind: "$u" }
+            ]).toArray();
+            return rows.map(row => ({
+                id: row._id.toString(),
+                username: row.u.username,
+                photoUrl: row.u.photoUrl,
+                profileUrl: row.u.profileUrl,
+                score: row.score,
+                frames: row.frames || null,
+                catches: row.catches || null,
+                deathSource: row.deathSource || null,
+                createdAt: row.timestamp
+            }));
+        },
+
+        async voidScore(id) {
+            const _id = toObjectId(id);
+            if (!_id) return false;
+            const result = await db.collection('scores').updateOne({ _id: _id, voided: { $ne: true } }, { $set: { voided: true } });
+            return result.modifiedCount > 0;
+        },
+
+        async voidUserScores(twitterId) {
+            const result = await db.collection('scores').updateMany({ twitterId: twitterId, voided: { $ne: true } }, { $set: { voided: true } });
+            return result.modifiedCount;
+        },
+
+        async voidUserEntries(twitterId) {
+            const filter = { twitterId: twitterId, voided: { $ne: true } };
+            const daily = await db.collection('daily_attempts').updateMany(filter, { $set: { voided: true } });
+            const tournaments = await db.collection('tournament_entries').updateMany(filter, { $set: { voided: true } });
+            return daily.modifiedCount + tournaments.modifiedCount;
+        },
+
+        async getScore(id) {
+            const _id = toObjectId(id);
+            const row = _id && await db.collection('scores').findOne({ _id: _id });
+            const user = row && await db.collection('users').findOne({ twitterId: row.twitterId });
+            if (!user) return null;
+            return {
+                id: row._id.toString(),
+                twitterId: row.twitterId,
+                username: user.username,
+                photoUrl: user.photoUrl,
+                score: row.score,
+                deathSource: row.deathSource || null,
+                voided: !!row.voided,
+                createdAt: row.timestamp
+            };
+        },
+
+        getLeaderboard({ since = null, until = null, limit = 20, offset = 0, twitterIds = null } = {}) {
+            return db.collection('scores').aggregate([
+                ...bestScores(since, until, twitterIds),
+                { $skip: offset },
+                { $limit: limit },
+                { $project: {
+                    _id: 0,
+                    username: "$u.username",
+                    photoUrl: "$u.photoUrl",
+                    profileUrl: "$u.profileUrl",
+                    highScore: 1,
+                    scoreId: { $toString: "$scoreId" }
+                }}
+            ]).toArray();
+        },
+
+        async getUserRank(twitterId, { since = null, until = null } = {}) {
+            const [mine] = await db.collection('scores').aggregate([
+                ...bestScores(since, until),
+                { $match: { _id: twitterId } }
+            ]).toArray();
+            if (!mine) return null;
+
+            const [ahead] = await db.collection('scores').aggregate([
+                ...bestScores(since, until),
+                { $match: { $or: [
+                    { highScore: { $gt: mine.highScore } },
+                    { highScore: mine.highScore, _id: { $lt: twitterId } }
+                ]}},
+                { $count: "count" }
+            ]).toArray();
+            return { rank: (ahead ? ahead.count : 0) + 1, highScore: mine.highScore };
+        },
+
+        async saveReplay(replay) {
+            await db.collection('replays').replaceOne(
+                { scoreId: String(replay.scoreId) },
+                {
+                    scoreId: String(replay.scoreId),
+                    version: replay.version,
+                    catalogVersion: replay.catalogVersion,
+                    seed: replay.seed,
+                    frames: replay.frames,
+                    inputs: replay.inputs,
+                    timestamp: new Date()
+                },
+                { upsert: true }
+            );
+        },
+
+        async getReplay(scoreId) {
+            const row = await db.collection('replays').findOne({ scoreId: String(scoreId) });
+            if (!row) return null;
+            return {
+                scoreId: row.scoreId,
+                version: row.version,
+                // Replays stored before the item catalog existed were all played on its first version
+                catalogVersion: row.catalogVersion || 1,
+                seed: row.seed,
+                frames: row.frames,
+                inputs: row.inputs,
+                createdAt: row.timestamp
+            };
+        },
+
+        async pruneReplays(olderThan, keepScoreIds) {
+            const result = await db.collection('replays').deleteMany({
+                timestamp: { $lt: olderThan },
+                scoreId: { $nin: keepScoreIds.map(String) }
+            });
+            return result.deletedCount;
+        },
+
+        async addMatch(match) {
+            const result = await db.collection('matches').insertOne({
+                player1Id: match.player1Id,
+                score1: match.score1,
+                player2Id: match.player2Id,
+                score2: match.score2,
+                winnerId: match.winnerId,
+                seed: match.seed,
+                timestamp: new Date()
+            });
+            return result.insertedId.toString();
+        },
+
+        async getMatchRecord(twitterId) {
+            const [totals] = await db.collection('matches').aggregate([
+                { $match: { $or: [{ player1Id: twitterId }, { player2Id: twitterId }] } },
+                { $group: {
+                    _id: null,
+                    played: { $sum: 1 },
+                    wins: { $sum: { $cond: [{ $eq: ["$winnerId", twitterId] }, 1, 0] } },
+                    draws: { $sum: { $cond: [{ $eq: ["$winnerId", null] }, 1, 0] } }
+                }}
+            ]).toArray();
+            if (!totals) return { wins: 0, losses: 0, draws: 0 };
+            return { wins: totals.wins, losses: totals.played - totals.wins - totals.draws, draws: totals.draws };
+        },
+
+        async archiveSeason(seasonId, standings) {
+            const result = await db.collection('season_archives').updateOne(
+                { seasonId: seasonId },
+                { $setOnInsert: { standings: standings, timestamp: new Date() } },
+                { upsert: true }
+            );
+            return result.upsertedCount > 0;
+        },
+
+        async listArchivedSeasons() {
+            const rows = await db.collection('season_archives').find({}, { projection: { seasonId: 1 } }).toArray();
+            return rows.map(row => row.seasonId);
+        },
+
+        async getSeasonStandings(seasonId) {
+            const row = await db.collection('season_archives').findOne({ seasonId: seasonId });
+            return row ? row.standings : null;
+        },
+
+        async addTournament(tournament) {
+            const result = await db.collection('tournaments').insertOne({
+                name: tournament.name,
+                startsAt: tournament.startsAt,
+                endsAt: tournament.endsAt,
+                maxAttempts: tournament.maxAttempts,
+                createdBy: tournament.createdBy || null,
+                closedAt: null,
+                timestamp: new Date()
+            });
+            return result.insertedId.toString();
+        },
+
+        async getTournament(id) {
+            const _id = toObjectId(id);
+            return toTournament(_id && await db.collection('tournaments').findOne({ _id: _id }));
+        },
+
+        async listTournaments({ since = null } = {}) {
+            const rows = await db.collection('tournaments')
+                .find(since ? { endsAt: { $gte: since } } : {})
+                .sort({ startsAt: 1, _id: 1 })
+                .toArray();
+            return rows.map(toTournament);
+        },
+
+        async closeTournament(id) {
+            const _id = toObjectId(id);
+            if (!_id) return false;
+            const result = await db.collection('tournaments').updateOne({ _id: _id, closedAt: null }, { $set: { closedAt: new Date() } });
+            return result.modifiedCount > 0;
+        },
+
+        async startTournamentAttempt(id, twitterId, maxAttempts) {
+            const key = { tournamentId: String(id), twitterId: twitterId };
+            await db.collection('tournament_entries').updateOne(
+                key,
+                { $setOnInsert: { attempts: 0, bestScore: null, timestamp: new Date() } },
+                { upsert: true }
+            );
+            const result = await db.collection('tournament_entries').updateOne(
+                { ...key, attempts: { $lt: maxAttempts } },
+                { $inc: { attempts: 1 } }
+            );
+            return result.modifiedCount > 0;
+        },
+
+        async finishTournamentAttempt(id, twitterId, score) {
+            const result = await db.collection('tournament_entries').updateOne(
+                { tournamentId: String(id), twitterId: twitterId, $or: [{ bestScore: null }, { bestScore: { $lt: score } }] },
+                { $set: { bestScore: score } }
+            );
+            return result.modifiedCount > 0;
+        },
+
+        async getTournamentEntry(id, twitterId) {
+            const row = await db.collection('tournament_entries').findOne({ tournamentId: String(id), twitterId: twitterId });
+            return row ? { attempts: row.attempts, bestScore: row.bestScore } : null;
+        },
+
+        getTournamentLeaderboard(id, { limit = 20, offset = 0 } = {}) {
+            return db.collection('tournament_entries').aggregate([
+                { $match: { tournamentId: String(id), bestScore: { $ne: null }, voided: { $ne: true } } },
+                { $lookup: { from: "users", localField: "twitterId", foreignField: "twitterId", as: "u" } },
+                { $unwind: "$u" },
+                { $sort: { bestScore: -1, twitterId: 1 } },
+                { $skip: offset },
+                { $limit: limit },
+                { $project: {
+                    _id: 0,
+                    username: "$u.username",
+                    photoUrl: "$u.photoUrl",
+                    profileUrl: "$u.profileUrl",
+                    score: "$bestScore"
+                }}
+            ]).toArray();
+        },
+
+        async addWebhookDelivery(delivery) {
+            const result = await db.collection('webhook_deliveries').insertOne({
+                hookId: delivery.hookId,
+                event: delivery.event,
+                payload: delivery.payload,
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: new Date(),
+                lastError: null,
+                timestamp: new Date()
+            });
+            return result.insertedId.toString();
+        },
+
+        async getDueWebhookDeliveries(now, limit) {
+            const rows = await db.collection('webhook_deliveries')
+                .find({ status: 'pending', nextAttemptAt: { $lte: now } })
+                .sort({ nextAttemptAt: 1, _id: 1 })
+                .limit(limit)
+                .toArray();
+            return rows.map(toWebhookDelivery);
+        },
+
+        async claimWebhookDelivery(id, now, leaseUntil) {
+            const _id = toObjectId(id);
+            if (!_id) return false;
+            const result = await db.collection('webhook_deliveries').updateOne(
+                { _id: _id, status: 'pending', nextAttemptAt: { $lte: now } },
+                { $set: { nextAttemptAt: leaseUntil } }
+            );
+            return result.modifiedCount > 0;
+        },
+
+        async updateWebhookDelivery(id, changes) {
+            const _id = toObjectId(id);
+            if (!_id) return;
+            const update = { status: changes.status, attempts: changes.attempts, lastError: changes.lastError || null };
+            if (changes.nextAttemptAt) update.nextAttemptAt = changes.nextAttemptAt;
+            await db.collection('webhook_deliveries').updateOne({ _id: _id }, { $set: update });
+        },
+
+        async getRecentWebhookDeliveries(limit) {
+            const rows = await db.collection('webhook_deliveries').find().sort({ _id: -1 }).limit(limit).toArray();
+            return rows.map(toWebhookDelivery);
+        },
+
+        async pruneWebhookDeliveries(olderThan) {
+            await db.collection('webhook_deliveries').deleteMany({ status: { $ne: 'pending' }, timestamp: { $lt: olderThan } });
+        },
+
+        async addApiKey(key) {
+            const result = await db.collection('api_keys').insertOne({
+                name: key.name,
+                keyHash: key.keyHash,
+                prefix: key.prefix,
+                rateLimit: key.rateLimit,
+                createdBy: key.createdBy || null,
+                revokedAt: null,
+                timestamp: new Date()
+            });
+            return result.insertedId.toString();
+        },
+
+        async findApiKey(keyHash) {
+            return toApiKey(await db.collection('api_keys').findOne({ keyHash: keyHash }));
+        },
+
+        async listApiKeys() {
+            const rows = await db.collection('api_keys').find().sort({ _id: -1 }).toArray();
+            return rows.map(toApiKey);
+        },
+
+        async revokeApiKey(id) {
+            const _id = toObjectId(id);
+            if (!_id) return false;
+            const result = await db.collection('api_keys').updateOne({ _id: _id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+            return result.modifiedCount > 0;
+        },
+
+        async getUserStats(twitterId) {
+            const row = await db.collection('user_stats').findOne({ twitterId: twitterId });
+            return row ? row.stats : null;
+        },
+
+        // One pipeline update adds the run, so runs finishing at once can't overwrite each
+        // other's. Each stage sees the stats the one before it left. Needs MongoDB 5.0.
+        async addUserStats(twitterId, { add, max }) {
+            const stage = (path, value) => ({ $set: { stats: withStat({ $ifNull: ['$stats', { $literal: {} }] }, path, value) } });
+            const pipeline = [
+                ...add.map(([path, value]) => stage(path, { $add: [{ $ifNull: [statAt(path), 0] }, value] })),
+                ...max.map(([path, value]) => stage(path, { $max: [{ $ifNull: [statAt(path), 0] }, value] })),
+                { $set: { timestamp: '$$NOW' } }
+            ];
+            const row = await db.collection('user_stats').findOneAndUpdate({ twitterId: twitterId }, pipeline, { upsert: true, returnDocument: 'after' });
+            return row.stats;
+        },
+
+        async getSettings(twitterId) {
+            const row = await db.collection('user_settings').findOne({ twitterId: twitterId });
+            return row ? row.settings : null;
+        },
+
+        async saveSettings(twitterId, settings) {
+            await db.collection('user_settings').updateOne(
+                { twitterId: twitterId },
+                { $set: { settings: settings, timestamp: new Date() } },
+                { upsert: true }
+            );
+        },
+
+        async getAchievements(twitterId) {
+            const rows = await db.collection('achievements').find({ twitterId: twitterId }).sort({ timestamp: 1, _id: 1 }).toArray();
+            return rows.map(row => ({ id: row.achievementId, unlockedAt: row.timestamp }));
+        },
+
+        async unlockAchievement(twitterId, id) {
+            const result = await db.collection('achievements').updateOne(
+                { twitterId: twitterId, achievementId: id },
+                { $setOnInsert: { timestamp: new Date() } },
+                { upsert: true }
+            );
+            return result.upsertedCount > 0;
+        },
+
+        async startDailyAttempt(date, twitterId) {
+            const result = await db.collection('daily_attempts').updateOne(
+                { date: date, twitterId: twitterId },
+                { $setOnInsert: { score: null, timestamp: new Date() } },
+                { upsert: true }
+            );
+            return result.upsertedCount > 0;
+        },
+
+        async finishDailyAttempt(date, twitterId, score) {
+            const result = await db.collection('daily_attempts').updateOne(
+                { date: date, twitterId: twitterId, score: null },
+                { $set: { score: score } }
+            );
+            return result.modifiedCount > 0;
+        },
+
+        async getDailyAttempt(date, twitterId) {
+            const row = await db.collection('daily_attempts').findOne({ date: date, twitterId: twitterId });
+            return row ? { score: row.score, startedAt: row.timestamp } : null;
+        },
+
+        getDailyLeaderboard(date, { limit = 20, offset = 0 } = {}) {
+            return db.collection('daily_attempts').aggregate([
+                { $match: { date: date, score: { $ne: null }, voided: { $ne: true } } },
+                { $lookup: { from: "users", localField: "twitterId", foreignField: "twitterId", as: "u" } },
+                { $unwind: "$u" },
+                { $sort: { score: -1, twitterId: 1 } },
+                { $skip: offset },
+                { $limit: limit },
+                { $project: {
+                    _id: 0,
+                    username: "$u.username",
+                    photoUrl: "$u.photoUrl",
+                    profileUrl: "$u.profileUrl",
+                    score: 1
+                }}
+            ]).toArray();
+        },
+
+        async addMessage(message) {
+            const result = await db.collection('messages').insertOne({
+                user: message.user,
+                text: message.text,
+                timestamp: new Date()
+            });
+            return result.insertedId.toString();
+        },
+
+        async getRecentMessages(limit) {
+            const rows = await db.collection('messages').find({ deleted: { $ne: true } }).sort({ _id: -1 }).limit(limit).toArray();
+            return rows.reverse().map(row => ({ id: row._id.toString(), user: row.user, text: row.text }));
+        },
+
+        async getMessages({ limit = 50, before = null } = {}) {
+            const filter = { deleted: { $ne: true } };
+            if (before !== null) filter._id = { $lt: toObjectId(before) };
+            const rows = await db.collection('messages').find(filter).sort({ _id: -1 }).limit(limit).toArray();
+            return rows.map(row => ({ id: row._id.toString(), user: row.user, text: row.text, createdAt: row.timestamp }));
+        },
+
+        async getMessagesAfter(afterId, limit) {
+            const _id = toObjectId(afterId);
+            if (!_id) return [];
+            const rows = await db.collection('messages').find({ _id: { $gt: _id }, deleted: { $ne: true } }).sort({ _id: 1 }).limit(limit).toArray();
+            return rows.map(row => ({ id: row._id.toString(), user: row.user, text: row.text, createdAt: row.timestamp }));
+        },
+
+        async toggleReaction(messageId, twitterId, emoji) {
+            const key = { messageId: String(messageId), twitterId: twitterId, emoji: emoji };
+            const result = await db.collection('message_reactions').updateOne(key, { $setOnInsert: { timestamp: new Date() } }, { upsert: true });
+            if (result.upsertedCount > 0) return true;
+            await db.collection('message_reactions').deleteOne(key);
+            return false;
+        },
+
+        async getReactions(messageIds) {
+            const rows = await db.collection('message_reactions').aggregate([
+                { $match: { messageId: { $in: messageIds.map(String) } } },
+                { $sort: { timestamp: 1, _id: 1 } },
+                { $lookup: { from: "users", localField: "twitterId", foreignField: "twitterId", as: "u" } },
+                { $unwind: "$u" }
+            ]).toArray();
+            const byMessage = {};
+            rows.forEach(row => {
+                const emojis = byMessage[row.messageId] || (byMessage[row.messageId] = {});
+                (emojis[row.emoji] || (emojis[row.emoji] = [])).push(row.u.username);
+            });
+            return byMessage;
+        },
+
+        async getMessage(id) {
+            const _id = toObjectId(id);
+            const row = _id && await db.collection('messages').findOne({ _id: _id, deleted: { $ne: true } });
+            return row ? { id: row._id.toString(), user: row.user, text: row.text } : null;
+        },
+
+        async deleteMessage(id) {
+            const _id = toObjectId(id);
+            if (!_id) return false;
+            const result = await db.collection('messages').updateOne(
+                { _id: _id, deleted: { $ne: true } },
+                { $set: { deleted: true } }
+            );
+            return result.modifiedCount > 0;
+        },
+
+        async addReport(report) {
+            const result = await db.collection('reports').insertOne({
+                messageId: report.messageId,
+                reporterId: report.reporterId,
+                reason: report.reason,
+                timestamp: new Date()
+            });
+            return result.insertedId.toString();
+        },
+
+        async addModerationLog(entry) {
+            await db.collection('moderation_log').insertOne({
+                moderatorId: entry.moderatorId,
+                action: entry.action,
+                targetId: entry.targetId,
+                details: entry.details,
+                timestamp: new Date()
+            });
+        },
+
+        async getModerationLog(limit) {
+            const rows = await db.collection('moderation_log').find().sort({ _id: -1 }).limit(limit).toArray();
+            return rows.map(row => ({
+                id: row._id.toString(),
+                moderatorId: row.moderatorId,
+                action: row.action,
+                targetId: row.targetId,
+                details: row.details,
+                createdAt: row.timestamp
+            }));
+        }
+    };
+};
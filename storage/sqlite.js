@@ -0,0 +1,773 @@
+const sqlite3 = require('sqlite3').verbose();
+
+// CURRENT_TIMESTAMP is stored as 'YYYY-MM-DD HH:MM:SS' UTC, so compare in that format
+function toSqliteTime(date) {
+    return date ? date.toISOString().replace('T', ' ').slice(0, 19) : '0000-00-00 00:00:00';
+}
+
+// Upper bound for boards with no end date
+const END_OF_TIME = '9999-12-31 23:59:59';
+
+function fromSqliteTime(str) {
+    return new Date(str.replace(' ', 'T') + 'Z');
+}
+
+// SQLite storage (./leaderboard.db by default, SQLITE_FILE to override).
+// Row -> the user shape the app uses
+function toUser(row) {
+    if (!row) return null;
+    return {
+        twitterId: row.twitterId,
+        username: row.username,
+        displayName: row.displayName,
+        photoUrl: row.photoUrl,
+        profileUrl: row.profileUrl,
+        role: row.role || 'user',
+        mutedUntil: row.mutedUntil ? new Date(row.mutedUntil) : null,
+        banned: !!row.banned
+    };
+}
+
+function toTournament(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        name: row.name,
+        startsAt: new Date(row.startsAt),
+        endsAt: new Date(row.endsAt),
+        maxAttempts: row.maxAttempts,
+        createdBy: row.createdBy,
+        closedAt: row.closedAt ? new Date(row.closedAt) : null
+    };
+}
+
+function toApiKey(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.prefix,
+        rateLimit: row.rateLimit,
+        createdBy: row.createdBy,
+        createdAt: fromSqliteTime(row.timestamp),
+        revokedAt: row.revokedAt ? new Date(row.revokedAt) : null
+    };
+}
+
+function toWebhookDelivery(row) {
+    return {
+        id: row.id,
+        hookId: row.hookId,
+        event: row.event,
+        payload: row.payload,
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: new Date(row.nextAttemptAt),
+        lastError: row.lastError,
+        createdAt: fromSqliteTime(row.timestamp)
+    };
+}
+
+module.exports = function createSqliteStorage(options = {}) {
+    const filename = options.filename || process.env.SQLITE_FILE || './leaderboard.db';
+    const db = new sqlite3.Database(filename, (err) => {
+        if (err) console.error(err.message);
+    });
+
+    // Promise wrappers around the callback API
+    function run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            db.run(sql, params, function(err) {
+                if (err) reject(err); else resolve(this);
+            });
+        });
+    }
+
+    function all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            db.all(sql, params, (err, rows) => {
+                if (err) reject(err); else resolve(rows);
+            });
+        });
+    }
+
+    // Databases created before a column existed get it added in place
+    async function addColumn(table, column, definition) {
+        const columns = await all(`PRAGMA table_info(${table})`);
+        if (!columns.some(c => c.name === column)) {
+            await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    }
+
+    return {
+        async init() {
+            await run(`CREATE TABLE IF NOT EXISTS users (
+                twitterId TEXT PRIMARY KEY,
+                username TEXT,
+                displayName TEXT,
+                photoUrl TEXT,
+                profileUrl TEXT
+            )`);
+            await addColumn('users', 'role', "TEXT DEFAULT 'user'");
+            await addColumn('users', 'mutedUntil', 'TEXT');
+            await addColumn('users', 'banned', 'INTEGER DEFAULT 0');
+
+            await run(`CREATE TABLE IF NOT EXISTS scores (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                twitterId TEXT,
+                score INTEGER,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY(twitterId) REFERENCES users(twitterId)
+            )`);
+            // Per-run details, from the server's replay of the run
+            await addColumn('scores', 'frames', 'INTEGER');
+            await addColumn('scores', 'catches', 'TEXT');
+            await addColumn('scores', 'deathSource', 'TEXT');
+            // Voided by an admin: kept for the record but off every board
+            await addColumn('scores', 'voided', 'INTEGER DEFAULT 0');
+
+            await run(`CREATE TABLE IF NOT EXISTS replays (
+                scoreId INTEGER PRIMARY KEY,
+                version INTEGER,
+                seed INTEGER,
+                frames INTEGER,
+                inputs TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            // Replays stored before the item catalog existed were all played on its first version
+            await addColumn('replays', 'catalogVersion', 'INTEGER DEFAULT 1');
+
+            await run(`CREATE TABLE IF NOT EXISTS matches (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                player1Id TEXT,
+                score1 INTEGER,
+                player2Id TEXT,
+                score2 INTEGER,
+                winnerId TEXT,
+                seed INTEGER,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+
+            await run(`CREATE TABLE IF NOT EXISTS user_stats (
+                twitterId TEXT PRIMARY KEY,
+                stats TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+
+            await run(`CREATE TABLE IF NOT EXISTS user_settings (
+                twitterId TEXT PRIMARY KEY,
+                settings TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+
+            await run(`CREATE TABLE IF NOT EXISTS achievements (
+                twitterId TEXT,
+                achievementId TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (twitterId, achievementId)
+            )`);
+
+            // One row per player per daily challenge; score stays NULL until the attempt is submitted
+            await run(`CREATE TABLE IF NOT EXISTS daily_attempts (
+                date TEXT,
+                twitterId TEXT,
+                score INTEGER,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (date, twitterId)
+            )`);
+            // Like scores.voided: set when an admin wipes the player's scores
+            await addColumn('daily_attempts', 'voided', 'INTEGER DEFAULT 0');
+
+            // Final standings of ended seasons, as a JSON array
+            await run(`CREATE TABLE IF NOT EXISTS season_archives (
+                seasonId TEXT PRIMARY KEY,
+                standings TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+
+            // Dates are ISO strings, like users.mutedUntil
+            await run(`CREATE TABLE IF NOT EXISTS tournaments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT,
+                startsAt TEXT,
+                endsAt TEXT,
+                maxAttempts INTEGER,
+                createdBy TEXT,
+                closedAt TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+
+            // One row per player per tournament; bestScore stays NULL until an attempt is submitted
+            await run(`CREATE TABLE IF NOT EXISTS tournament_entries (
+                tournamentId INTEGER,
+                twitterId TEXT,
+                attempts INTEGER DEFAULT 0,
+                bestScore INTEGER,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (tournamentId, twitterId)
+            )`);
+            await addColumn('tournament_entries', 'voided', 'INTEGER DEFAULT 0');
+
+            // Outbound webhook queue; payload is the request body, nextAttemptAt an ISO string
+            await run(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                hookId TEXT,
+                event TEXT,
+                payload TEXT,
+                status TEXT DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                nextAttemptAt TEXT,
+                lastError TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            await run("CREATE INDEX IF NOT EXISTS webhook_deliveries_due ON webhook_deliveries (status, nextAttemptAt)");
+
+            // Only a hash of each key is kept; revokedAt is an ISO string
+            await run(`CREATE TABLE IF NOT EXISTS api_keys (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT,
+                keyHash TEXT UNIQUE,
+                prefix TEXT,
+                rateLimit INTEGER,
+                createdBy TEXT,
+                revokedAt TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+
+            await run(`CREATE TABLE IF NOT EXISTS messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user TEXT,
+                text TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            await addColumn('messages', 'deleted', 'INTEGER DEFAULT 0');
+
+            // One row per player, message and emoji
+            await run(`CREATE TABLE IF NOT EXISTS message_reactions (
+                messageId INTEGER,
+                twitterId TEXT,
+                emoji TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (messageId, twitterId, emoji)
+            )`);
+
+            // Who follows whom, for the friends leaderboard
+            await run(`CREATE TABLE IF NOT EXISTS follows (
+                followerId TEXT,
+                followeeId TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (followerId, followeeId)
+            )`);
+            await run("CREATE INDEX IF NOT EXISTS follows_followee ON follows (followeeId)");
+
+            await run(`CREATE TABLE IF NOT EXISTS reports (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                messageId INTEGER,
+                reporterId TEXT,
+                reason TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+
+            await run(`CREATE TABLE IF NOT EXISTS moderation_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                moderatorId TEXT,
+                action TEXT,
+                targetId TEXT,
+                details TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            console.log('Connected to the leaderboard database.');
+        },
+
+        close() {
+            return new Promise((resolve, reject) => {
+                db.close((err) => { if (err) reject(err); else resolve(); });
+            });
+        },
+
+        sessionStore() {
+            return null;
+        },
+
+        saveUser(user) {
+            // Upsert rather than INSERT OR REPLACE so columns we don't set here survive a re-login
+            return run(`INSERT INTO users (twitterId, username, displayName, photoUrl, profileUrl) VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT(twitterId) DO UPDATE SET username = excluded.username, displayName = excluded.displayName,
+                    photoUrl = excluded.photoUrl, profileUrl = excluded.profileUrl`,
+                [user.twitterId, user.username, user.displayName, user.photoUrl, user.profileUrl]);
+        },
+
+        async getUser(twitterId) {
+            const rows = await all("SELECT * FROM users WHERE twitterId = ?", [twitterId]);
+            return toUser(rows[0]);
+        },
+
+        async countUsers() {
+            const rows = await all("SELECT COUNT(*) as count FROM users");
+            return rows[0].count;
+        },
+
+        async findUserByUsername(username) {
+            const rows = await all("SELECT * FROM users WHERE username = ? COLLATE NOCASE", [username]);
+            return toUser(rows[0]);
+        },
+
+        async searchUsers(query, { limit = 20 } = {}) {
+            // Escape LIKE's wildcards, which are legal in X handles
+            const pattern = `%${query.replace(/[\\%_]/g, '\\$&')}%`;
+            const rows = await all("SELECT * FROM users WHERE username LIKE ? ESCAPE '\\' ORDER BY username COLLATE NOCASE LIMIT ?", [pattern, limit]);
+            return rows.map(toUser);
+        },
+
+        async getUsersByIds(twitterIds) {
+            if (!twitterIds.length) return [];
+            const rows = await all(`SELECT * FROM users WHERE twitterId IN (${twitterIds.map(() => '?').join(', ')}) ORDER BY username COLLATE NOCASE`, twitterIds);
+            return rows.map(toUser);
+        },
+
+        async follow(followerId, followeeId) {
+            const result = await run("INSERT OR IGNORE INTO follows (followerId, followeeId) VALUES (?, ?)", [followerId, followeeId]);
+            return result.changes > 0;
+        },
+
+        async unfollow(followerId, followeeId) {
+            const result = await run("DELETE FROM follows WHERE followerId = ? AND followeeId = ?", [followerId, followeeId]);
+            return result.changes > 0;
+        },
+
+        async getFollowing(twitterId) {
+            const rows = await all("SELECT u.* FROM follows f JOIN users u ON f.followeeId = u.twitterId WHERE f.followerId = ? ORDER BY u.username COLLATE NOCASE", [twitterId]);
+            return rows.map(toUser);
+        },
+
+        async getFollowers(twitterId) {
+            const rows = await all("SELECT u.* FROM follows f JOIN users u ON f.followerId = u.twitterId WHERE f.followeeId = ? ORDER BY u.username COLLATE NOCASE", [twitterId]);
+            return rows.map(toUser);
+        },
+
+        async updateUserStatus(twitterId, changes) {
+            const sets = []; const params = [];
+            if ('role' in changes) { sets.push('role = ?'); params.push(changes.role); }
+            if ('mutedUntil' in changes) { sets.push('mutedUntil = ?'); params.push(changes.mutedUntil ? changes.mutedUntil.toISOString() : null); }
+            if ('banned' in changes) { sets.push('banned = ?'); params.push(changes.banned ? 1 : 0); }
+            if (!sets.length) return;
+            await run(`UPDATE users SET ${sets.join(', ')} WHERE twitterId = ?`, [...params, twitterId]);
+        },
+
+        async addScore(twitterId, score, details = {}) {
+            const result = await run("INSERT INTO scores (twitterId, score, frames, catches, deathSource) VALUES (?, ?, ?, ?, ?)",
+                [twitterId, score, details.frames || null, details.catches ? JSON.stringify(details.catches) : null, details.deathSource || null]);
+            return result.lastID;
+        },
+
+        async getUserRuns(twitterId, { limit = -1, offset = 0, includeVoided = false } = {}) {
+            // LIMIT -1 is SQLite for "no limit"
+            const rows = await all(`SELECT * FROM scores WHERE twitterId = ? ${includeVoided ? '' : 'AND voided = 0'} ORDER BY id DESC LIMIT ? OFFSET ?`,
+                [twitterId, limit, offset]);
+            return rows.map(row => ({
+                id: row.id,
+                score: row.score,
+                frames: row.frames,
+                catches: row.catches ? JSON.parse(row.catches) : null,
+                deathSource: row.deathSource,
+                voided: !!row.voided,
+                createdAt: fromSqliteTime(row.timestamp)
+            }));
+        },
+
+        async getRecentRuns({ limit = 20, before = null } = {}) {
+            const rows = await all(`
+                SELECT s.*, u.username, u.photoUrl, u.profileUrl
+                FROM scores s
+                JOIN users u ON s.twitterId = u.twitterId
+                WHERE s.voided = 0 AND s.id < ?
+                ORDER BY s.id DESC
+                LIMIT ?
+            `, [before === null ? Number.MAX_SAFE_INTEGER : before, limit]);
+            return rows.map(row => ({
+                id: row.id,
+                username: row.username,
+                photoUrl: row.photoUrl,
+                profileUrl: row.profileUrl,
+                score: row.score,
+                frames: row.frames,
+                catches: row.catches ? JSON.parse(row.catches) : null,
+                deathSource: row.deathSource,
+                createdAt: fromSqliteTime(row.timestamp)
+            }));
+        },
+
+        async voidScore(id) {
+            const result = await run("UPDATE scores SET voided = 1 WHERE id = ? AND voided = 0", [id]);
+            return result.changes > 0;
+        },
+
+        async voidUserScores(twitterId) {
+            const result = await run("UPDATE scores SET voided = 1 WHERE twitterId = ? AND voided = 0", [twitterId]);
+            return result.changes;
+        },
+
+        async voidUserEntries(twitterId) {
+            const daily = await run("UPDATE daily_attempts SET voided = 1 WHERE twitterId = ? AND voided = 0", [twitterId]);
+            const tournaments = await run("UPDATE tournament_entries SET voided = 1 WHERE twitterId = ? AND voided = 0", [twitterId]);
+            return daily.changes + tournaments.changes;
+        },
+
+        async getScore(id) {
+            const rows = await all(`
+                SELECT s.id, s.twitterId, u.username, u.photoUrl, s.score, s.deathSource, s.voided, s.timestamp
+                FROM scores s
+                JOIN users u ON s.twitterId = u.twitterId
+                WHERE s.id = ?
+            `, [id]);
+            if (!rows.length) return null;
+            const { timestamp, voided, ...score } = rows[0];
+            return { ...score, voided: !!voided, createdAt: fromSqliteTime(timestamp) };
+        },
+
+        getLeaderboard({ since = null, until = null, limit = 20, offset = 0, twitterIds = null } = {}) {
+            const only = twitterIds ? `AND s.twitterId IN (${twitterIds.map(() => '?').join(', ')})` : '';
+            return all(`
+                SELECT u.username, u.photoUrl, u.profileUrl, MAX(s.score) as highScore, s.id as scoreId
+                FROM scores s
+                JOIN users u ON s.twitterId = u.twitterId
+                WHERE s.timestamp >= ? AND s.timestamp < ? AND s.voided = 0 ${only}
+                GROUP BY u.twitterId
+                ORDER BY highScore DESC, u.twitterId ASC
+                LIMIT ? OFFSET ?
+            `, [toSqliteTime(since), until ? toSqliteTime(until) : END_OF_TIME, ...(twitterIds || []), limit, offset]);
+        },
+
+        async getUserRank(twitterId, { since = null, until = null } = {}) {
+            const rows = await all(`
+                WITH best AS (
+                    SELECT u.twitterId, MAX(s.score) as highScore
+                    FROM scores s
+                    JOIN users u ON s.twitterId = u.twitterId
+                    WHERE s.timestamp >= ? AND s.timestamp < ? AND s.voided = 0
+                    GROUP BY u.twitterId
+                )
+                SELECT me.highScore, (
+                    SELECT COUNT(*) FROM best b
+                    WHERE b.highScore > me.highScore OR (b.highScore = me.highScore AND b.twitterId < me.twitterId)
+                ) + 1 as rank
+                FROM best me
+                WHERE me.twitterId = ?
+            `, [toSqliteTime(since), until ? toSqliteTime(until) : END_OF_TIME, twitterId]);
+            return rows.length ? { rank: rows[0].rank, highScore: rows[0].highScore } : null;
+        },
+
+        saveReplay(replay) {
+            return run("INSERT OR REPLACE INTO replays (scoreId, version, catalogVersion, seed, frames, inputs) VALUES (?, ?, ?, ?, ?, ?)",
+                [replay.scoreId, replay.version, replay.catalogVersion, replay.seed, replay.frames, JSON.stringify(replay.inputs)]);
+        },
+
+        async getReplay(scoreId) {
+            const rows = await all("SELECT * FROM replays WHERE scoreId = ?", [scoreId]);
+            if (!rows.length) return null;
+            const row = rows[0];
+            return {
+                scoreId: row.scoreId,
+                version: row.version,
+                catalogVersion: row.catalogVersion,
+                seed: row.seed,
+                frames: row.frames,
+                inputs: JSON.parse(row.inputs),
+                createdAt: fromSqliteTime(row.timestamp)
+            };
+        },
+
+        async pruneReplays(olderThan, keepScoreIds) {
+            const result = await run(`DELETE FROM replays WHERE timestamp < ? AND scoreId NOT IN (${keepScoreIds.map(() => '?').join(', ')})`,
+                [toSqliteTime(olderThan), ...keepScoreIds]);
+            return result.changes;
+        },
+
+        async addMatch(match) {
+            const result = await run("INSERT INTO matches (player1Id, score1, player2Id, score2, winnerId, seed) VALUES (?, ?, ?, ?, ?, ?)",
+                [match.player1Id, match.score1, match.player2Id, match.score2, match.winnerId, match.seed]);
+            return result.lastID;
+        },
+
+        async getMatchRecord(twitterId) {
+            const rows = await all(`
+                SELECT SUM(winnerId = ?) as wins,
+                       SUM(winnerId IS NOT NULL AND winnerId != ?) as losses,
+                       SUM(winnerId IS NULL) as draws
+                FROM matches
+                WHERE player1Id = ? OR player2Id = ?
+            `, [twitterId, twitterId, twitterId, twitterId]);
+            // SUM over no rows is NULL
+            return { wins: rows[0].wins || 0, losses: rows[0].losses || 0, draws: rows[0].draws || 0 };
+        },
+
+        async archiveSeason(seasonId, standings) {
+            const result = await run("INSERT OR IGNORE INTO season_archives (seasonId, standings) VALUES (?, ?)", [seasonId, JSON.stringify(standings)]);
+            return result.changes > 0;
+        },
+
+        async listArchivedSeasons() {
+            const rows = await all("SELECT seasonId FROM season_archives");
+            return rows.map(row => row.seasonId);
+        },
+
+        async getSeasonStandings(seasonId) {
+            const rows = await all("SELECT standings FROM season_archives WHERE seasonId = ?", [seasonId]);
+            return rows.length ? JSON.parse(rows[0].standings) : null;
+        },
+
+        async addTournament(tournament) {
+            const result = await run("INSERT INTO tournaments (name, startsAt, endsAt, maxAttempts, createdBy) VALUES (?, ?, ?, ?, ?)",
+                [tournament.name, tournament.startsAt.toISOString(), tournament.endsAt.toISOString(), tournament.maxAttempts, tournament.createdBy || null]);
+            return result.lastID;
+        },
+
+        async getTournament(id) {
+            const rows = await all("SELECT * FROM tournaments WHERE id = ?", [id]);
+            return toTournament(rows[0]);
+        },
+
+        async listTournaments({ since = null } = {}) {
+            const rows = await all("SELECT * FROM tournaments WHERE endsAt >= ? ORDER BY startsAt ASC, id ASC", [since ? since.toISOString() : '']);
+            return rows.map(toTournament);
+        },
+
+        async closeTournament(id) {
+            const result = await run("UPDATE tournaments SET closedAt = ? WHERE id = ? AND closedAt IS NULL", [new Date().toISOString(), id]);
+            return result.changes > 0;
+        },
+
+        async startTournamentAttempt(id, twitterId, maxAttempts) {
+            await run("INSERT OR IGNORE INTO tournament_entries (tournamentId, twitterId) VALUES (?, ?)", [id, twitterId]);
+            const result = await run("UPDATE tournament_entries SET attempts = attempts + 1 WHERE tournamentId = ? AND twitterId = ? AND attempts < ?",
+                [id, twitterId, maxAttempts]);
+            return result.changes > 0;
+        },
+
+        async finishTournamentAttempt(id, twitterId, score) {
+            const result = await run("UPDATE tournament_entries SET bestScore = ? WHERE tournamentId = ? AND twitterId = ? AND (bestScore IS NULL OR bestScore < ?)",
+                [score, id, twitterId, score]);
+            return result.changes > 0;
+        },
+
+        async getTournamentEntry(id, twitterId) {
+            const rows = await all("SELECT attempts, bestScore FROM tournament_entries WHERE tournamentId = ? AND twitterId = ?", [id, twitterId]);
+            return rows.length ? { attempts: rows[0].attempts, bestScore: rows[0].bestScore } : null;
+        },
+
+        getTournamentLeaderboard(id, { limit = 20, offset = 0 } = {}) {
+            return all(`
+                SELECT u.username, u.photoUrl, u.profileUrl, e.bestScore as score
+                FROM tournament_entries e
+                JOIN users u ON e.twitterId = u.twitterId
+                WHERE e.tournamentId = ? AND e.bestScore IS NOT NULL AND e.voided = 0
+                ORDER BY e.bestScore DESC, u.twitterId ASC
+                LIMIT ? OFFSET ?
+            `, [id, limit, offset]);
+        },
+
+        async addWebhookDelivery(delivery) {
+            const result = await run("INSERT INTO webhook_deliveries (hookId, event, payload, nextAttemptAt) VALUES (?, ?, ?, ?)",
+                [delivery.hookId, delivery.event, delivery.payload, new Date().toISOString()]);
+            return result.lastID;
+        },
+
+        async getDueWebhookDeliveries(now, limit) {
+            const rows = await all("SELECT * FROM webhook_deliveries WHERE status = 'pending' AND nextAttemptAt <= ? ORDER BY nextAttemptAt ASC, id ASC LIMIT ?",
+                [now.toISOString(), limit]);
+            return rows.map(toWebhookDelivery);
+        },
+
+        async claimWebhookDelivery(id, now, leaseUntil) {
+            const result = await run("UPDATE webhook_deliveries SET nextAttemptAt = ? WHERE id = ? AND status = 'pending' AND nextAttemptAt <= ?",
+                [leaseUntil.toISOString(), id, now.toISOString()]);
+            return result.changes > 0;
+        },
+
+        updateWebhookDelivery(id, changes) {
+            return run("UPDATE webhook_deliveries SET status = ?, attempts = ?, lastError = ?, nextAttemptAt = COALESCE(?, nextAttemptAt) WHERE id = ?",
+                [changes.status, changes.attempts, changes.lastError || null, changes.nextAttemptAt ? changes.nextAttemptAt.toISOString() : null, id]);
+        },
+
+        async getRecentWebhookDeliveries(limit) {
+            const rows = await all("SELECT * FROM webhook_deliveries ORDER BY id DESC LIMIT ?", [limit]);
+            return rows.map(toWebhookDelivery);
+        },
+
+        pruneWebhookDeliveries(olderThan) {
+            return run("DELETE FROM webhook_deliveries WHERE status != 'pending' AND timestamp < ?", [toSqliteTime(olderThan)]);
+        },
+
+        async addApiKey(key) {
+            const result = await run("INSERT INTO api_keys (name, keyHash, prefix, rateLimit, createdBy) VALUES (?, ?, ?, ?, ?)",
+                [key.name, key.keyHash, key.prefix, key.rateLimit, key.createdBy || null]);
+            return result.lastID;
+        },
+
+        async findApiKey(keyHash) {
+            const rows = await all("SELECT * FROM api_keys WHERE keyHash = ?", [keyHash]);
+            return toApiKey(rows[0]);
+        },
+
+        async listApiKeys() {
+            const rows = await all("SELECT * FROM api_keys ORDER BY id DESC");
+            return rows.map(toApiKey);
+        },
+
+        async revokeApiKey(id) {
+            const result = await run("UPDATE api_keys SET revokedAt = ? WHERE id = ? AND revokedAt IS NULL", [new Date().toISOString(), id]);
+            return result.changes > 0;
+        },
+
+        async getUserStats(twitterId) {
+            const rows = await all("SELECT stats FROM user_stats WHERE twitterId = ?", [twitterId]);
+            return rows.length ? JSON.parse(rows[0].stats) : null;
+        },
+
+        // A single UPDATE adds the run, so runs finishing at once can't overwrite each other's.
+        // Keys are quoted in the JSON paths, so the dot in "gg-bomb.png" isn't read as nesting.
+        async addUserStats(twitterId, { add, max }) {
+            const jsonPath = path => '$' + path.map(key => `."${key}"`).join('');
+            const pairs = [];
+            const params = [];
+            add.forEach(([path, value]) => {
+                pairs.push('?, COALESCE(json_extract(stats, ?), 0) + ?');
+                params.push(jsonPath(path), jsonPath(path), value);
+            });
+            max.forEach(([path, value]) => {
+                pairs.push('?, MAX(COALESCE(json_extract(stats, ?), 0), ?)');
+                params.push(jsonPath(path), jsonPath(path), value);
+            });
+            await run("INSERT OR IGNORE INTO user_stats (twitterId, stats) VALUES (?, '{}')", [twitterId]);
+            const rows = await all(`UPDATE user_stats SET stats = json_set(stats, ${pairs.join(', ')}), timestamp = CURRENT_TIMESTAMP
+                WHERE twitterId = ? RETURNING stats`, [...params, twitterId]);
+            return JSON.parse(rows[0].stats);
+        },
+
+        async getSettings(twitterId) {
+            const rows = await all("SELECT settings FROM user_settings WHERE twitterId = ?", [twitterId]);
+            return rows.length ? JSON.parse(rows[0].settings) : null;
+        },
+
+        saveSettings(twitterId, settings) {
+            return run(`INSERT INTO user_settings (twitterId, settings) VALUES (?, ?)
+                ON CONFLICT(twitterId) DO UPDATE SET settings = excluded.settings, timestamp = CURRENT_TIMESTAMP`,
+                [twitterId, JSON.stringify(settings)]);
+        },
+
+        async getAchievements(twitterId) {
+            const rows = await all("SELECT achievementId, timestamp FROM achievements WHERE twitterId = ? ORDER BY timestamp ASC, rowid ASC", [twitterId]);
+            return rows.map(row => ({ id: row.achievementId, unlockedAt: fromSqliteTime(row.timestamp) }));
+        },
+
+        async unlockAchievement(twitterId, id) {
+            const result = await run("INSERT OR IGNORE INTO achievements (twitterId, achievementId) VALUES (?, ?)", [twitterId, id]);
+            return result.changes > 0;
+        },
+
+        async startDailyAttempt(date, twitterId) {
+            const result = await run("INSERT OR IGNORE INTO daily_attempts (date, twitterId) VALUES (?, ?)", [date, twitterId]);
+            return result.changes > 0;
+        },
+
+        async finishDailyAttempt(date, twitterId, score) {
+            const result = await run("UPDATE daily_attempts SET score = ? WHERE date = ? AND twitterId = ? AND score IS NULL", [score, date, twitterId]);
+            return result.changes > 0;
+        },
+
+        async getDailyAttempt(date, twitterId) {
+            const rows = await all("SELECT score, timestamp FROM daily_attempts WHERE date = ? AND twitterId = ?", [date, twitterId]);
+            return rows.length ? { score: rows[0].score, startedAt: fromSqliteTime(rows[0].timestamp) } : null;
+        },
+
+        getDailyLeaderboard(date, { limit = 20, offset = 0 } = {}) {
+            return all(`
+                SELECT u.username, u.photoUrl, u.profileUrl, d.score
+                FROM daily_attempts d
+                JOIN users u ON d.twitterId = u.twitterId
+                WHERE d.date = ? AND d.score IS NOT NULL AND d.voided = 0
+                ORDER BY d.score DESC, u.twitterId ASC
+                LIMIT ? OFFSET ?
+            `, [date, limit, offset]);
+        },
+
+        async addMessage(message) {
+            const result = await run("INSERT INTO messages (user, text) VALUES (?, ?)", [message.user, message.text]);
+            return result.lastID;
+        },
+
+        async getRecentMessages(limit) {
+            const rows = await all("SELECT id, user, text FROM messages WHERE deleted = 0 ORDER BY id DESC LIMIT ?", [limit]);
+            // Oldest first, the order they are displayed in
+            return rows.reverse();
+        },
+
+        async getMessages({ limit = 50, before = null } = {}) {
+            const rows = await all("SELECT id, user, text, timestamp FROM messages WHERE deleted = 0 AND id < ? ORDER BY id DESC LIMIT ?",
+                [before === null ? Number.MAX_SAFE_INTEGER : before, limit]);
+            return rows.map(row => ({ id: row.id, user: row.user, text: row.text, createdAt: fromSqliteTime(row.timestamp) }));
+        },
+
+        async getMessagesAfter(afterId, limit) {
+            const rows = await all("SELECT id, user, text, timestamp FROM messages WHERE deleted = 0 AND id > ? ORDER BY id ASC LIMIT ?", [afterId, limit]);
+            return rows.map(row => ({ id: row.id, user: row.user, text: row.text, createdAt: fromSqliteTime(row.timestamp) }));
+        },
+
+        async toggleReaction(messageId, twitterId, emoji) {
+            const added = await run("INSERT OR IGNORE INTO message_reactions (messageId, twitterId, emoji) VALUES (?, ?, ?)", [messageId, twitterId, emoji]);
+            if (added.changes > 0) return true;
+            await run("DELETE FROM message_reactions WHERE messageId = ? AND twitterId = ? AND emoji = ?", [messageId, twitterId, emoji]);
+            return false;
+        },
+
+        async getReactions(messageIds) {
+            if (!messageIds.length) return {};
+            const rows = await all(`
+                SELECT r.messageId, r.emoji, u.username
+                FROM message_reactions r
+                JOIN users u ON r.twitterId = u.twitterId
+                WHERE r.messageId IN (${messageIds.map(() => '?').join(', ')})
+                ORDER BY r.timestamp ASC, r.rowid ASC
+            `, messageIds);
+            const byMessage = {};
+            rows.forEach(row => {
+                const emojis = byMessage[String(row.messageId)] || (byMessage[String(row.messageId)] = {});
+                (emojis[row.emoji] || (emojis[row.emoji] = [])).push(row.username);
+            });
+            return byMessage;
+        },
+
+        async getMessage(id) {
+            const rows = await all("SELECT id, user, text FROM messages WHERE id = ? AND deleted = 0", [id]);
+            return rows[0] || null;
+        },
+
+        async deleteMessage(id) {
+            const result = await run("UPDATE messages SET deleted = 1 WHERE id = ? AND deleted = 0", [id]);
+            return result.changes > 0;
+        },
+
+        async addReport(report) {
+            const result = await run("INSERT INTO reports (messageId, reporterId, reason) VALUES (?, ?, ?)",
+                [report.messageId, report.reporterId, report.reason]);
+            return result.lastID;
+        },
+
+        addModerationLog(entry) {
+            return run("INSERT INTO moderation_log (moderatorId, action, targetId, details) VALUES (?, ?, ?, ?)",
+                [entry.moderatorId, entry.action, entry.targetId, entry.details]);
+        },
+
+        async getModerationLog(limit) {
+            const rows = await all("SELECT * FROM moderation_log ORDER BY id DESC LIMIT ?", [limit]);
+            return rows.map(row => ({
+                id: row.id,
+                moderatorId: row.moderatorId,
+                action: row.action,
+                targetId: row.targetId,
+                details: row.details,
+                createdAt: fromSqliteTime(row.timestamp)
+            }));
+        }
+    };
+};
@@ -0,0 +1,850 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Supabase (Postgres) storage. Tables are created by the SQL in README.md; columns are
+// snake_case there and mapped to the camelCase shapes the rest of the app uses here.
+
+// PostgREST's default max-rows: no request returns more rows than this
+const MAX_ROWS_PER_REQUEST = 1000;
+
+// Row -> the user shape the app uses
+function toUser(row) {
+    if (!row) return null;
+    return {
+        twitterId: row.twitter_id,
+        username: row.username,
+        displayName: row.display_name,
+        photoUrl: row.photo_url,
+        profileUrl: row.profile_url,
+        role: row.role || 'user',
+        mutedUntil: row.muted_until ? new Date(row.muted_until) : null,
+        banned: !!row.banned
+    };
+}
+
+function toTournament(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        name: row.name,
+        startsAt: new Date(row.starts_at),
+        endsAt: new Date(row.ends_at),
+        maxAttempts: row.max_attempts,
+        createdBy: row.created_by,
+        closedAt: row.closed_at ? new Date(row.closed_at) : null
+    };
+}
+
+function toApiKey(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.prefix,
+        rateLimit: row.rate_limit,
+        createdBy: row.created_by,
+        createdAt: new Date(row.created_at),
+        revokedAt: row.revoked_at ? new Date(row.revoked_at) : null
+    };
+}
+
+function toWebhookDelivery(row) {
+    return {
+        id: row.id,
+        hookId: row.hook_id,
+        event: row.event,
+        payload: row.payload,
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: new Date(row.next_attempt_at),
+        lastError: row.last_error,
+        createdAt: new Date(row.created_at)
+    };
+}
+
+module.exports = function createSupabaseStorage(options = {}) {
+    const supabase = createClient(
+        options.url || process.env.SUPABASE_URL,
+        options.key || process.env.SUPABASE_KEY
+    );
+
+    // supabase-js resolves with { data, error } instead of rejecting
+    function unwrap({ data, error }) {
+        if (error) throw error;
+        return data;
+    }
+
+    // A page of each known user's best score from `since` up to (not including) `until`, best
+    // first with ties broken by twitter_id. The leaderboard() function from the setup SQL does
+    // the ranking in Postgres; PostgREST hands out at most MAX_ROWS_PER_REQUEST rows at a time,
+    // so longer pages are read in several requests.
+    async function leaderboardPage({ since, until, twitterIds, limit, offset }) {
+        const rows = [];
+        while (rows.length < limit) {
+            const take = Math.min(MAX_ROWS_PER_REQUEST, limit - rows.length);
+            const data = unwrap(await supabase.rpc('leaderboard', {
+                p_since: since ? since.toISOString() : null,
+                p_until: until ? until.toISOString() : null,
+                p_ids: twitterIds,
+                p_limit: take,
+                p_offset: offset + rows.length
+            }));
+            rows.push(...data);
+            if (data.length < take) break;
+        }
+        return rows.map(row => ({
+            username: row.username,
+            photoUrl: row.photo_url,
+            profileUrl: row.profile_url,
+            highScore: row.high_score,
+            scoreId: row.score_id
+        }));
+    }
+
+    // The users with these ids, by handle like searchUsers
+    async function usersByHandle(twitterIds) {
+        if (!twitterIds.length) return [];
+        const data = unwrap(await supabase
+            .from('users')
+            .select('*')
+            .in('twitter_id', twitterIds)
+            .order('username', { ascending: true }));
+        return data.map(toUser);
+    }
+
+    return {
+        async init() {},
+
+        async close() {},
+
+        sessionStore() {
+            return null;
+        },
+
+        async saveUser(user) {
+            unwrap(await supabase
+                .from('users')
+                .upsert({
+                    twitter_id: user.twitterId,
+                    username: user.username,
+                    display_name: user.displayName,
+                    photo_url: user.photoUrl,
+                    profile_url: user.profileUrl
+                }, { onConflict: 'twitter_id' }));
+        },
+
+        async getUser(twitterId) {
+            const data = unwrap(await supabase
+                .from('users')
+                .select('*')
+                .eq('twitter_id', twitterId)
+                .maybeSingle());
+            return toUser(data);
+        },
+
+        async countUsers() {
+            // head: true fetches only the count, not the rows
+            const { count, error } = await supabase.from('users').select('twitter_id', { count: 'exact', head: true });
+            if (error) throw error;
+            return count;
+        },
+
+        async findUserByUsername(username) {
+            // ilike for case-insensitivity; escape its wildcards, which are legal in X handles
+            const data = unwrap(await supabase
+                .from('users')
+                .select('*')
+                .ilike('username', username.replace(/[\\%_]/g, '\\$&'))
+                .limit(1));
+            return toUser(data[0]);
+        },
+
+        async searchUsers(query, { limit = 20 } = {}) {
+            const data = unwrap(await supabase
+                .from('users')
+                .select('*')
+                .ilike('username', `%${query.replace(/[\\%_]/g, '\\$&')}%`)
+                .order('username', { ascending: true })
+                .limit(limit));
+            return data.map(toUser);
+        },
+
+        getUsersByIds(twitterIds) {
+            return usersByHandle(twitterIds);
+        },
+
+        async follow(followerId, followeeId) {
+            // Like toggleReaction: an existing row is skipped and not returned
+            const added = unwrap(await supabase
+                .from('follows')
+                .upsert({ follower_id: followerId, followee_id: followeeId }, { onConflict: 'follower_id,followee_id', ignoreDuplicates: true })
+                .select('follower_id'));
+            return added.length > 0;
+        },
+
+        async unfollow(followerId, followeeId) {
+            const removed = unwrap(await supabase
+                .from('follows')
+                .delete()
+                .eq('follower_id', followerId)
+                .eq('followee_id', followeeId)
+                .select('follower_id'));
+            return removed.length > 0;
+        },
+
+        async getFollowing(twitterId) {
+            const data = unwrap(await supabase.from('follows').select('followee_id').eq('follower_id', twitterId));
+            return usersByHandle(data.map(row => row.followee_id));
+        },
+
+        async getFollowers(twitterId) {
+            const data = unwrap(await supabase.from('follows').select('follower_id').eq('followee_id', twitterId));
+            return usersByHandle(data.map(row => row.follower_id));
+        },
+
+        async updateUserStatus(twitterId, changes) {
+            const row = {};
+            if ('role' in changes) row.role = changes.role;
+            if ('mutedUntil' in changes) row.muted_until = changes.mutedUntil ? changes.mutedUntil.toISOString() : null;
+            if ('banned' in changes) row.banned = !!changes.banned;
+            if (!Object.keys(row).length) return;
+            unwrap(await supabase.from('users').update(row).eq('twitter_id', twitterId));
+        },
+
+        async addScore(twitterId, score, run = {}) {
+            const row = unwrap(await supabase
+                .from('scores')
+                .insert({
+                    twitter_id: twitterId,
+                    score: score,
+                    frames: run.frames || null,
+                    catches: run.catches || null,
+                    death_source: run.deathSource || null
+                })
+                .select('id')
+                .single());
+            return row.id;
+        },
+
+        async getUserRuns(twitterId, { limit = null, offset = 0, includeVoided = false } = {}) {
+            let query = supabase
+                .from('scores')
+                .select('id, score, frames, catches, death_source, voided, created_at')
+                .eq('twitter_id', twitterId)
+                .order('id', { ascending: false });
+            if (!includeVoided) query = query.eq('voided', false);
+            if (limit !== null) query = query.range(offset, offset + limit - 1);
+            const data = unwrap(await query);
+            return data.map(row => ({
+                id: row.id,
+                score: row.score,
+                frames: row.frames,
+                catches: row.catches,
+                deathSource: row.death_source,
+                voided: row.voided,
+                createdAt: new Date(row.created_at)
+            }));
+        },
+
+        async getRecentRuns({ limit = 20, before = null } = {}) {
+            let query = supabase
+                .from('scores')
+                .select('id, score, frames, catches, death_source, created_at, users (username, photo_url, profile_url)')
+                .eq('voided', false)
+                .order('id', { ascending: false })
+                .limit(limit);
+            if (before !== null) query = query.lt('id', before);
+            const data = unwrap(await query);
+            return data.filter(row => row.users).map(row => ({
+                id: row.id,
+                username: row.users.username,
+                photoUrl: row.users.photo_url,
+                profileUrl: row.users.profile_url,
+                score: row.score,
+                frames: row.frames,
+                catches: row.catches,
+                deathSource: row.death_source,
+                createdAt: new Date(row.created_at)
+            }));
+        },
+
+        async voidScore(id) {
+            const rows = unwrap(await supabase
+                .from('scores')
+                .update({ voided: true })
+                .eq('id', id)
+                .eq('voided', false)
+                .select('id'));
+            return rows.length > 0;
+        },
+
+        async voidUserScores(twitterId) {
+            const rows = unwrap(await supabase
+                .from('scores')
+                .update({ voided: true })
+                .eq('twitter_id', twitterId)
+                .eq('voided', false)
+                .select('id'));
+            return rows.length;
+        },
+
+        async voidUserEntries(twitterId) {
+            const daily = unwrap(await supabase
+                .from('daily_attempts')
+                .update({ voided: true })
+                .eq('twitter_id', twitterId)
+                .eq('voided', false)
+                .select('date'));
+            const tournaments = unwrap(await supabase
+                .from('tournament_entries')
+                .update({ voided: true })
+                .eq('twitter_id', twitterId)
+                .eq('voided', false)
+                .select('tournament_id'));
+            return daily.length + tournaments.length;
+        },
+
+        async getScore(id) {
+            const row = unwrap(await supabase
+                .from('scores')
+                .select('id, twitter_id, score, death_source, voided, created_at, users (username, photo_url)')
+                .eq('id', id)
+                .maybeSingle());
+            if (!row || !row.users) return null;
+            return {
+                id: row.id,
+                twitterId: row.twitter_id,
+                username: row.users.username,
+                photoUrl: row.users.photo_url,
+                score: row.score,
+                deathSource: row.death_source,
+                voided: row.voided,
+                createdAt: new Date(row.created_at)
+            };
+        },
+
+        getLeaderboard({ since = null, until = null, limit = 20, offset = 0, twitterIds = null } = {}) {
+            return leaderboardPage({ since, until, twitterIds, limit, offset });
+        },
+
+        async getUserRank(twitterId, { since = null, until = null } = {}) {
+            const data = unwrap(await supabase.rpc('leaderboard_rank', {
+                p_twitter_id: twitterId,
+                p_since: since ? since.toISOString() : null,
+                p_until: until ? until.toISOString() : null
+            }));
+            return data.length ? { rank: data[0].rank, highScore: data[0].high_score } : null;
+        },
+
+        async saveReplay(replay) {
+            unwrap(await supabase
+                .from('replays')
+                .upsert({
+                    score_id: replay.scoreId,
+                    version: replay.version,
+                    catalog_version: replay.catalogVersion,
+                    seed: replay.seed,
+                    frames: replay.frames,
+                    inputs: replay.inputs
+                }, { onConflict: 'score_id' }));
+        },
+
+        async getReplay(scoreId) {
+            const row = unwrap(await supabase
+                .from('replays')
+                .select('*')
+                .eq('score_id', scoreId)
+                .maybeSingle());
+            if (!row) return null;
+            return {
+                scoreId: row.score_id,
+                version: row.version,
+                catalogVersion: row.catalog_version,
+                seed: row.seed,
+                frames: row.frames,
+                inputs: row.inputs,
+                createdAt: new Date(row.created_at)
+            };
+        },
+
+        async pruneReplays(olderThan, keepScoreIds) {
+            let query = supabase
+                .from('replays')
+                .delete()
+                .lt('created_at', olderThan.toISOString());
+            if (keepScoreIds.length) query = query.not('score_id', 'in', `(${keepScoreIds.join(',')})`);
+            const rows = unwrap(await query.select('score_id'));
+            return rows.length;
+        },
+
+        async addMatch(match) {
+            const row = unwrap(await supabase
+                .from('matches')
+                .insert({
+                    player1_id: match.player1Id,
+                    score1: match.score1,
+                    player2_id: match.player2Id,
+                    score2: match.score2,
+                    winner_id: match.winnerId,
+                    seed: match.seed
+                })
+                .select('id')
+                .single());
+            return row.id;
+        },
+
+        async getMatchRecord(twitterId) {
+            const data = unwrap(await supabase
+                .from('matches')
+                .select('winner_id')
+                .or(`player1_id.eq.${twitterId},player2_id.eq.${twitterId}`));
+            const record = { wins: 0, losses: 0, draws: 0 };
+            data.forEach(row => {
+                if (row.winner_id === null) record.draws++;
+                else if (row.winner_id === twitterId) record.wins++;
+                else record.losses++;
+            });
+            return record;
+        },
+
+        async archiveSeason(seasonId, standings) {
+            // Like unlockAchievement: an existing archive is skipped and not returned
+            const rows = unwrap(await supabase
+                .from('season_archives')
+                .upsert({ season_id: seasonId, standings: standings }, { onConflict: 'season_id', ignoreDuplicates: true })
+                .select('season_id'));
+            return rows.length > 0;
+        },
+
+        async listArchivedSeasons() {
+            const data = unwrap(await supabase.from('season_archives').select('season_id'));
+            return data.map(row => row.season_id);
+        },
+
+        async getSeasonStandings(seasonId) {
+            const row = unwrap(await supabase
+                .from('season_archives')
+                .select('standings')
+                .eq('season_id', seasonId)
+                .maybeSingle());
+            return row ? row.standings : null;
+        },
+
+        async addTournament(tournament) {
+            const row = unwrap(await supabase
+                .from('tournaments')
+                .insert({
+                    name: tournament.name,
+                    starts_at: tournament.startsAt.toISOString(),
+                    ends_at: tournament.endsAt.toISOString(),
+                    max_attempts: tournament.maxAttempts,
+                    created_by: tournament.createdBy || null
+                })
+                .select('id')
+                .single());
+            return row.id;
+        },
+
+        async getTournament(id) {
+            const row = unwrap(await supabase
+                .from('tournaments')
+                .select('*')
+                .eq('id', id)
+                .maybeSingle());
+            return toTournament(row);
+        },
+
+        async listTournaments({ since = null } = {}) {
+            let query = supabase
+                .from('tournaments')
+                .select('*')
+                .order('starts_at', { ascending: true })
+                .order('id', { ascending: true });
+            if (since) query = query.gte('ends_at', since.toISOString());
+            return unwrap(await query).map(toTournament);
+        },
+
+        async closeTournament(id) {
+            const rows = unwrap(await supabase
+                .from('tournaments')
+                .update({ closed_at: new Date().toISOString() })
+                .eq('id', id)
+                .is('closed_at', null)
+                .select('id'));
+            return rows.length > 0;
+        },
+
+        async startTournamentAttempt(id, twitterId, maxAttempts) {
+            unwrap(await supabase
+                .from('tournament_entries')
+                .upsert({ tournament_id: id, twitter_id: twitterId }, { onConflict: 'tournament_id,twitter_id', ignoreDuplicates: true }));
+            const entry = unwrap(await supabase
+                .from('tournament_entries')
+                .select('attempts')
+                .eq('tournament_id', id)
+                .eq('twitter_id', twitterId)
+                .single());
+            if (entry.attempts >= maxAttempts) return false;
+            // Only counts if no other attempt was started in between, so two at once can't both get the last one
+            const rows = unwrap(await supabase
+                .from('tournament_entries')
+                .update({ attempts: entry.attempts + 1 })
+                .eq('tournament_id', id)
+                .eq('twitter_id', twitterId)
+                .eq('attempts', entry.attempts)
+                .select('attempts'));
+            return rows.length > 0;
+        },
+
+        async finishTournamentAttempt(id, twitterId, score) {
+            const rows = unwrap(await supabase
+                .from('tournament_entries')
+                .update({ best_score: score })
+                .eq('tournament_id', id)
+                .eq('twitter_id', twitterId)
+                .or(`best_score.is.null,best_score.lt.${score}`)
+                .select('attempts'));
+            return rows.length > 0;
+        },
+
+        async getTournamentEntry(id, twitterId) {
+            const row = unwrap(await supabase
+                .from('tournament_entries')
+                .select('attempts, best_score')
+                .eq('tournament_id', id)
+                .eq('twitter_id', twitterId)
+                .maybeSingle());
+            return row ? { attempts: row.attempts, bestScore: row.best_score } : null;
+        },
+
+        async getTournamentLeaderboard(id, { limit = 20, offset = 0 } = {}) {
+            const data = unwrap(await supabase
+                .from('tournament_entries')
+                .select('best_score, twitter_id, users (username, photo_url, profile_url)')
+                .eq('tournament_id', id)
+                .not('best_score', 'is', null)
+                .eq('voided', false)
+                .order('best_score', { ascending: false })
+                .order('twitter_id', { ascending: true })
+                .range(offset, offset + limit - 1));
+            return data.filter(row => row.users).map(row => ({
+                username: row.users.username,
+                photoUrl: row.users.photo_url,
+                profileUrl: row.users.profile_url,
+                score: row.best_score
+            }));
+        },
+
+        async addWebhookDelivery(delivery) {
+            const row = unwrap(await supabase
+                .from('webhook_deliveries')
+                .insert({ hook_id: delivery.hookId, event: delivery.event, payload: delivery.payload, next_attempt_at: new Date().toISOString() })
+                .select('id')
+                .single());
+            return row.id;
+        },
+
+        async getDueWebhookDeliveries(now, limit) {
+            const data = unwrap(await supabase
+                .from('webhook_deliveries')
+                .select('*')
+                .eq('status', 'pending')
+                .lte('next_attempt_at', now.toISOString())
+                .order('next_attempt_at', { ascending: true })
+                .order('id', { ascending: true })
+                .limit(limit));
+            return data.map(toWebhookDelivery);
+        },
+
+        async claimWebhookDelivery(id, now, leaseUntil) {
+            const rows = unwrap(await supabase
+                .from('webhook_deliveries')
+                .update({ next_attempt_at: leaseUntil.toISOString() })
+                .eq('id', id)
+                .eq('status', 'pending')
+                .lte('next_attempt_at', now.toISOString())
+                .select('id'));
+            return rows.length > 0;
+        },
+
+        async updateWebhookDelivery(id, changes) {
+            const row = { status: changes.status, attempts: changes.attempts, last_error: changes.lastError || null };
+            if (changes.nextAttemptAt) row.next_attempt_at = changes.nextAttemptAt.toISOString();
+            unwrap(await supabase.from('webhook_deliveries').update(row).eq('id', id));
+        },
+
+        async getRecentWebhookDeliveries(limit) {
+            const data = unwrap(await supabase
+                .from('webhook_deliveries')
+                .select('*')
+                .order('id', { ascending: false })
+                .limit(limit));
+            return data.map(toWebhookDelivery);
+        },
+
+        async pruneWebhookDeliveries(olderThan) {
+            unwrap(await supabase
+                .from('webhook_deliveries')
+                .delete()
+                .neq('status', 'pending')
+                .lt('created_at', olderThan.toISOString()));
+        },
+
+        async addApiKey(key) {
+            const row = unwrap(await supabase
+                .from('api_keys')
+                .insert({ name: key.name, key_hash: key.keyHash, prefix: key.prefix, rate_limit: key.rateLimit, created_by: key.createdBy || null })
+                .select('id')
+                .single());
+            return row.id;
+        },
+
+        async findApiKey(keyHash) {
+            const row = unwrap(await supabase
+                .from('api_keys')
+                .select('*')
+                .eq('key_hash', keyHash)
+                .maybeSingle());
+            return toApiKey(row);
+        },
+
+        async listApiKeys() {
+            const data = unwrap(await supabase.from('api_keys').select('*').order('id', { ascending: false }));
+            return data.map(toApiKey);
+        },
+
+        async revokeApiKey(id) {
+            const rows = unwrap(await supabase
+                .from('api_keys')
+                .update({ revoked_at: new Date().toISOString() })
+                .eq('id', id)
+                .is('revoked_at', null)
+                .select('id'));
+            return rows.length > 0;
+        },
+
+        async getUserStats(twitterId) {
+            const row = unwrap(await supabase
+                .from('user_stats')
+                .select('stats')
+                .eq('twitter_id', twitterId)
+                .maybeSingle());
+            return row ? row.stats : null;
+        },
+
+        // add_user_stats (README.md, step 17) adds the run under a row lock, so runs finishing
+        // at once can't overwrite each other's
+        async addUserStats(twitterId, { add, max }) {
+            return unwrap(await supabase.rpc('add_user_stats', { p_twitter_id: twitterId, p_add: add, p_max: max }));
+        },
+
+        async getSettings(twitterId) {
+            const row = unwrap(await supabase
+                .from('user_settings')
+                .select('settings')
+                .eq('twitter_id', twitterId)
+                .maybeSingle());
+            return row ? row.settings : null;
+        },
+
+        async saveSettings(twitterId, settings) {
+            unwrap(await supabase
+                .from('user_settings')
+                .upsert({ twitter_id: twitterId, settings: settings, updated_at: new Date().toISOString() }, { onConflict: 'twitter_id' }));
+        },
+
+        async getAchievements(twitterId) {
+            const data = unwrap(await supabase
+                .from('achievements')
+                .select('achievement_id, unlocked_at')
+                .eq('twitter_id', twitterId)
+                .order('unlocked_at', { ascending: true }));
+            return data.map(row => ({ id: row.achievement_id, unlockedAt: new Date(row.unlocked_at) }));
+        },
+
+        async unlockAchievement(twitterId, id) {
+            // Conflicting rows are skipped and not returned, so an empty result means it was already unlocked
+            const rows = unwrap(await supabase
+                .from('achievements')
+                .upsert({ twitter_id: twitterId, achievement_id: id }, { onConflict: 'twitter_id,achievement_id', ignoreDuplicates: true })
+                .select('achievement_id'));
+            return rows.length > 0;
+        },
+
+        async startDailyAttempt(date, twitterId) {
+            // Like unlockAchievement: an existing attempt is skipped and not returned
+            const rows = unwrap(await supabase
+                .from('daily_attempts')
+                .upsert({ date: date, twitter_id: twitterId }, { onConflict: 'date,twitter_id', ignoreDuplicates: true })
+                .select('date'));
+            return rows.length > 0;
+        },
+
+        async finishDailyAttempt(date, twitterId, score) {
+            const rows = unwrap(await supabase
+                .from('daily_attempts')
+                .update({ score: score })
+                .eq('date', date)
+                .eq('twitter_id', twitterId)
+                .is('score', null)
+                .select('date'));
+            return rows.length > 0;
+        },
+
+        async getDailyAttempt(date, twitterId) {
+            const row = unwrap(await supabase
+                .from('daily_attempts')
+                .select('score, started_at')
+                .eq('date', date)
+                .eq('twitter_id', twitterId)
+                .maybeSingle());
+            return row ? { score: row.score, startedAt: new Date(row.started_at) } : null;
+        },
+
+        async getDailyLeaderboard(date, { limit = 20, offset = 0 } = {}) {
+            const data = unwrap(await supabase
+                .from('daily_attempts')
+                .select('score, twitter_id, users (username, photo_url, profile_url)')
+                .eq('date', date)
+                .not('score', 'is', null)
+                .eq('voided', false)
+                .order('score', { ascending: false })
+                .order('twitter_id', { ascending: true })
+                .range(offset, offset + limit - 1));
+            return data.filter(row => row.users).map(row => ({
+                username: row.users.username,
+                photoUrl: row.users.photo_url,
+                profileUrl: row.users.profile_url,
+                score: row.score
+            }));
+        },
+
+        async addMessage(message) {
+            const row = unwrap(await supabase
+                .from('messages')
+                .insert({ user_name: message.user, text: message.text })
+                .select('id')
+                .single());
+            return row.id;
+        },
+
+        async getRecentMessages(limit) {
+            const data = unwrap(await supabase
+                .from('messages')
+                .select('*')
+                .eq('deleted', false)
+                .order('id', { ascending: false })
+                .limit(limit));
+            return data.reverse().map(row => ({ id: row.id, user: row.user_name, text: row.text }));
+        },
+
+        async getMessages({ limit = 50, before = null } = {}) {
+            let query = supabase
+                .from('messages')
+                .select('*')
+                .eq('deleted', false)
+                .order('id', { ascending: false })
+                .limit(limit);
+            if (before !== null) query = query.lt('id', before);
+            const data = unwrap(await query);
+            return data.map(row => ({ id: row.id, user: row.user_name, text: row.text, createdAt: new Date(row.created_at) }));
+        },
+
+        async getMessagesAfter(afterId, limit) {
+            const data = unwrap(await supabase
+                .from('messages')
+                .select('*')
+                .eq('deleted', false)
+                .gt('id', afterId)
+                .order('id', { ascending: true })
+                .limit(limit));
+            return data.map(row => ({ id: row.id, user: row.user_name, text: row.text, createdAt: new Date(row.created_at) }));
+        },
+
+        async toggleReaction(messageId, twitterId, emoji) {
+            // Like unlockAchievement: an existing row is skipped and not returned
+            const added = unwrap(await supabase
+                .from('message_reactions')
+                .upsert({ message_id: messageId, twitter_id: twitterId, emoji: emoji }, { onConflict: 'message_id,twitter_id,emoji', ignoreDuplicates: true })
+                .select('emoji'));
+            if (added.length > 0) return true;
+            unwrap(await supabase
+                .from('message_reactions')
+                .delete()
+                .eq('message_id', messageId)
+                .eq('twitter_id', twitterId)
+                .eq('emoji', emoji));
+            return false;
+        },
+
+        async getReactions(messageIds) {
+            if (!messageIds.length) return {};
+            const data = unwrap(await supabase
+                .from('message_reactions')
+                .select('message_id, emoji, users (username)')
+                .in('message_id', messageIds)
+                .order('created_at', { ascending: true }));
+            const byMessage = {};
+            data.filter(row => row.users).forEach(row => {
+                const emojis = byMessage[String(row.message_id)] || (byMessage[String(row.message_id)] = {});
+                (emojis[row.emoji] || (emojis[row.emoji] = [])).push(row.users.username);
+            });
+            return byMessage;
+        },
+
+        async getMessage(id) {
+            const row = unwrap(await supabase
+                .from('messages')
+                .select('*')
+                .eq('id', id)
+                .eq('deleted', false)
+                .maybeSingle());
+            return row ? { id: row.id, user: row.user_name, text: row.text } : null;
+        },
+
+        async deleteMessage(id) {
+            const rows = unwrap(await supabase
+                .from('messages')
+                .update({ deleted: true })
+                .eq('id', id)
+                .eq('deleted', false)
+                .select('id'));
+            return rows.length > 0;
+        },
+
+        async addReport(report) {
+            const row = unwrap(await supabase
+                .from('reports')
+                .insert({ message_id: report.messageId, reporter_id: report.reporterId, reason: report.reason })
+                .select('id')
+                .single());
+            return row.id;
+        },
+
+        async addModerationLog(entry) {
+            unwrap(await supabase
+                .from('moderation_log')
+                .insert({
+                    moderator_id: entry.moderatorId,
+                    action: entry.action,
+                    target_id: entry.targetId,
+                    details: entry.details
+                }));
+        },
+
+        async getModerationLog(limit) {
+            const data = unwrap(await supabase
+                .from('moderation_log')
+                .select('*')
+                .order('id', { ascending: false })
+                .limit(limit));
+            return data.map(row => ({
+                id: row.id,
+                moderatorId: row.moderator_id,
+                action: row.action,
+                targetId: row.target_id,
+                details: row.details,
+                createdAt: new Date(row.created_at)
+            }));
+        }
+    };
+};
@@ -0,0 +1,141 @@
+// Public API: keys, cursors and rate limits.
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../storage');
+const Api = require('../lib/api');
+
+describe('cursors', () => {
+    it('round-trip the position they encode', () => {
+        assert.deepEqual(Api.decodeCursor(Api.encodeCursor({ offset: 40 })), { offset: 40 });
+        assert.deepEqual(Api.decodeCursor(Api.encodeCursor({ before: 'abc' })), { before: 'abc' });
+        assert.match(Api.encodeCursor({ offset: 40 }), /^[A-Za-z0-9_-]+$/);
+    });
+
+    it('decode to null when they aren\'t JSON objects', () => {
+        ['zzz', '', Buffer.from('42').toString('base64url'), Buffer.from('null').toString('base64url')]
+            .forEach(cursor => assert.equal(Api.decodeCursor(cursor), null, cursor));
+    });
+});
+
+describe('parsePage', () => {
+    it('starts at the top with the default page size', () => {
+        assert.deepEqual(Api.parsePage({}, 'offset'), { limit: 20, offset: 0 });
+        assert.deepEqual(Api.parsePage({ cursor: '' }, 'before'), { limit: 20, before: null });
+    });
+
+    it('clamps the limit', () => {
+        assert.equal(Api.parsePage({ limit: '5' }, 'offset').limit, 5);
+        assert.equal(Api.parsePage({ limit: '0' }, 'offset').limit, 20);
+        assert.equal(Api.parsePage({ limit: 'lots' }, 'offset').limit, 20);
+        assert.equal(Api.parsePage({ limit: '100000' }, 'offset').limit, Api.MAX_PAGE_SIZE);
+    });
+
+    it('continues from a cursor of its own kind', () => {
+        assert.deepEqual(Api.parsePage({ cursor: Api.encodeCursor({ offset: 60 }) }, 'offset'), { limit: 20, offset: 60 });
+        assert.deepEqual(Api.parsePage({ cursor: Api.encodeCursor({ before: 17 }) }, 'before'), { limit: 20, before: 17 });
+    });
+
+    it('refuses tampered cursors and cursors from other lists', () => {
+        const tampered = [
+            'not-a-cursor',
+            Api.encodeCursor({ offset: -20 }),
+            Api.encodeCursor({ offset: 1.5 }),
+            Api.encodeCursor({ offset: '20' }),
+            Api.encodeCursor({ before: 17 }),
+            Api.encodeCursor([20])
+        ];
+        tampered.forEach(cursor => assert.deepEqual(Api.parsePage({ cursor }, 'offset'), { error: 'Invalid cursor' }, cursor));
+        assert.deepEqual(Api.parsePage({ cursor: Api.encodeCursor({ offset: 20 }) }, 'before'), { error: 'Invalid cursor' });
+        assert.deepEqual(Api.parsePage({ cursor: Api.encodeCursor({ before: { $gt: 0 } }) }, 'before'), { error: 'Invalid cursor' });
+    });
+});
+
+describe('toPage', () => {
+    it('hands out a next cursor only when more rows were found', () => {
+        const rows = [{ id: 9 }, { id: 8 }, { id: 7 }];
+        assert.deepEqual(Api.toPage(rows, { limit: 3, before: null }), { data: rows, nextCursor: null });
+        const page = Api.toPage(rows, { limit: 2, before: null });
+        assert.deepEqual(page.data, [{ id: 9 }, { id: 8 }]);
+        assert.deepEqual(Api.decodeCursor(page.nextCursor), { before: 8 });
+        assert.deepEqual(Api.decodeCursor(Api.toPage(rows, { limit: 2, offset: 40 }).nextCursor), { offset: 42 });
+    });
+});
+
+describe('parseKeyRequest and keyFromHeaders', () => {
+    it('needs a name and takes an optional per-minute limit', () => {
+        assert.deepEqual(Api.parseKeyRequest({ name: ' Overlay ' }), { request: { name: 'Overlay', rateLimit: Api.DEFAULT_RATE_LIMIT } });
+        assert.deepEqual(Api.parseKeyRequest({ name: 'Bot', rateLimit: '120' }), { request: { name: 'Bot', rateLimit: 120 } });
+        assert.match(Api.parseKeyRequest({ name: '' }).error, /name/);
+        assert.match(Api.parseKeyRequest(null).error, /name/);
+        [0, 1.5, 6001, 'fast'].forEach(rateLimit => assert.match(Api.parseKeyRequest({ name: 'Bot', rateLimit }).error, /rate limit/, String(rateLimit)));
+    });
+
+    it('reads Bearer tokens and X-API-Key', () => {
+        assert.equal(Api.keyFromHeaders({ authorization: 'Bearer  td_abc ' }), 'td_abc');
+        assert.equal(Api.keyFromHeaders({ 'x-api-key': 'td_def' }), 'td_def');
+        assert.equal(Api.keyFromHeaders({ authorization: 'Basic xyz' }), null);
+    });
+});
+
+describe('createApiKeys', () => {
+    let storage, keys, issued, id;
+
+    beforeEach(async () => {
+        storage = createStorage('memory');
+        await storage.init();
+        issued = Api.generateKey();
+        id = await storage.addApiKey({ name: 'Overlay', keyHash: issued.keyHash, prefix: issued.prefix, rateLimit: 3 });
+        keys = Api.createApiKeys({ storage });
+    });
+
+    it('stores only a hash of each key', () => {
+        assert.match(issued.key, /^td_/);
+        assert.equal(issued.keyHash, Api.hashKey(issued.key));
+        assert.ok(issued.key.startsWith(issued.prefix));
+        assert.notEqual(Api.generateKey().key, issued.key);
+    });
+
+    it('counts requests per key and resets each minute', async () => {
+        const first = await keys.check(issued.key, 'ip', 0);
+        assert.deepEqual([first.key.name, first.limit, first.remaining, first.resetAt], ['Overlay', 3, 2, 60 * 1000]);
+        await keys.check(issued.key, 'ip', 1000);
+        assert.equal((await keys.check(issued.key, 'other-ip', 2000)).remaining, 0);
+        const limited = await keys.check(issued.key, 'ip', 50 * 1000);
+        assert.deepEqual([limited.status, limited.remaining, limited.retryAfter], [429, 0, 10]);
+        assert.equal((await keys.check(issued.key, 'ip', 60 * 1000)).remaining, 2);
+    });
+
+    it('refuses missing, unknown and revoked keys', async () => {
+        assert.equal((await keys.check(null, 'ip', 0)).status, 401);
+        assert.match((await keys.check('td_nope', 'ip', 0)).error, /Unknown/);
+        await storage.revokeApiKey(id);
+        keys.forget(id);
+        assert.match((await keys.check(issued.key, 'ip', 0)).error, /revoked/);
+    });
+
+    it('blocks an address that keeps sending invalid keys, but not valid keys it already knows', async () => {
+        await keys.check(issued.key, 'ip', 0);
+        for (let i = 0; i < 20; i++) assert.equal((await keys.check(`td_guess${i}`, 'ip', 1000)).status, 401);
+        const blocked = await keys.check('td_guess', 'ip', 1000);
+        assert.deepEqual([blocked.status, blocked.retryAfter], [429, 60]);
+        assert.equal((await keys.check('td_guess', 'another-ip', 1000)).status, 401);
+        assert.equal((await keys.check(issued.key, 'ip', 1000)).key.name, 'Overlay');
+        assert.equal((await keys.check('td_guess', 'ip', 61 * 1000)).status, 401);
+    });
+
+    it('doesn\'t look a blocked address\'s keys up at all', async () => {
+        for (let i = 0; i < 20; i++) await keys.check(`td_guess${i}`, 'ip', 0);
+        let lookups = 0;
+        const findApiKey = storage.findApiKey;
+        storage.findApiKey = hash => { lookups++; return findApiKey(hash); };
+        await keys.check('td_guess', 'ip', 0);
+        assert.equal(lookups, 0);
+    });
+
+    it('doesn\'t cache unknown keys, so a key is found once it is issued', async () => {
+        const later = Api.generateKey();
+        assert.equal((await keys.check(later.key, 'ip', 0)).status, 401);
+        await storage.addApiKey({ name: 'Later', keyHash: later.keyHash, prefix: later.prefix, rateLimit: 5 });
+        assert.equal((await keys.check(later.key, 'ip', 0)).key.name, 'Later');
+    });
+});
@@ -0,0 +1,72 @@
+// Chat filter: what players may post, and how fast.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Chat = require('../lib/chat');
+
+const player = { twitterId: 'player-1', username: 'player' };
+
+describe('createChatFilter', () => {
+    it('trims and accepts an ordinary message', () => {
+        const filter = Chat.createChatFilter({ rateLimit: 5 });
+        assert.deepEqual(filter.check(player, '  hello there  '), { text: 'hello there' });
+    });
+
+    it('needs a logged-in player', () => {
+        assert.match(Chat.createChatFilter().check(null, 'hello').error, /Connect X/);
+    });
+
+    it('refuses empty and overlong messages', () => {
+        const filter = Chat.createChatFilter({ maxLength: 10 });
+        assert.match(filter.check(player, '   ').error, /empty/);
+        assert.match(filter.check(player, 42).error, /empty/);
+        assert.equal(filter.check(player, 'x'.repeat(10)).text, 'x'.repeat(10));
+        assert.match(filter.check(player, 'x'.repeat(11)).error, /10 characters/);
+    });
+
+    it('refuses blocked words as whole words, in any case', () => {
+        const filter = Chat.createChatFilter({ blockedWords: ['darn', 'a.b'] });
+        assert.match(filter.check(player, 'well DARN it').error, /blocked word/);
+        assert.match(filter.check(player, 'a.b').error, /blocked word/);
+        assert.equal(filter.check(player, 'darned').text, 'darned');
+        assert.equal(filter.check(player, 'axb').text, 'axb');
+    });
+
+    it('refuses messages that look like system announcements', () => {
+        const filter = Chat.createChatFilter({ rateLimit: 100 });
+        const imitations = [
+            'SYSTEM: server restarting',
+            'system maintenance',
+            'someone just took #1 place with 9999 points!',
+            ...Object.values(Chat.ANNOUNCEMENT_PREFIXES).map(prefix => `  ${prefix} @someone did something`),
+            '⚔ @a beat @b in versus!' // Without the variation selector
+        ];
+        imitations.forEach(text => assert.match(filter.check(player, text).error, /imitate/, text));
+        assert.equal(filter.check(player, 'gg 🏆').text, 'gg 🏆');
+        assert.equal(filter.check(player, 'systems are go').text, 'systems are go');
+    });
+
+    it('limits messages per player per window', () => {
+        const filter = Chat.createChatFilter({ rateLimit: 2, rateWindowMs: 1000 });
+        const other = { twitterId: 'player-2' };
+        assert.ok(filter.check(player, 'one', 0).text);
+        assert.ok(filter.check(player, 'two', 500).text);
+        assert.match(filter.check(player, 'three', 900).error, /too fast/);
+        assert.ok(filter.check(other, 'mine', 900).text);
+        assert.ok(filter.check(player, 'four', 1001).text);
+    });
+
+    it('doesn\'t count refused messages towards the limit', () => {
+        const filter = Chat.createChatFilter({ rateLimit: 1, maxLength: 5 });
+        assert.ok(filter.check(player, 'too long', 0).error);
+        assert.ok(filter.check(player, 'ok', 0).text);
+    });
+
+    it('allows twice as many reactions as messages, from the palette only', () => {
+        const filter = Chat.createChatFilter({ rateLimit: 1, rateWindowMs: 1000 });
+        assert.match(filter.checkReaction(player, '💩', 0).error, /not available/);
+        assert.deepEqual(filter.checkReaction(player, Chat.REACTIONS[0], 0), { emoji: Chat.REACTIONS[0] });
+        assert.ok(filter.checkReaction(player, Chat.REACTIONS[1], 0).emoji);
+        assert.match(filter.checkReaction(player, Chat.REACTIONS[2], 0).error, /too fast/);
+        assert.ok(filter.check(player, 'still fine', 0).text);
+    });
+});
@@ -0,0 +1,82 @@
+// Friends: following players, and telling followers when someone they follow beats them.
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../storage');
+const { createFriends } = require('../lib/friends');
+
+function makeUser(name) {
+    return { twitterId: `id-${name}`, username: name, displayName: name, photoUrl: `https://example.com/${name}.png`, profileUrl: '' };
+}
+
+describe('createFriends', () => {
+    let storage, friends, told, star, fan, rival;
+
+    beforeEach(async () => {
+        storage = createStorage('memory');
+        await storage.init();
+        told = [];
+        friends = createFriends({ storage, notify: (follower, news) => told.push([follower.username, news]) });
+        [star, fan, rival] = ['star', 'fan', 'rival'].map(makeUser);
+        for (const user of [star, fan, rival]) await storage.saveUser(user);
+    });
+
+    it('follows and unfollows by handle', async () => {
+        assert.deepEqual(await friends.follow(fan, '@star'), { notice: 'You follow @star.', username: 'star' });
+        assert.match((await friends.follow(fan, 'nobody')).error, /not found/);
+        assert.match((await friends.follow(fan, 'fan')).error, /yourself/);
+        assert.deepEqual(await friends.list(fan), { following: [{ username: 'star', photoUrl: star.photoUrl }], followers: [] });
+        assert.deepEqual(await friends.counts(star, fan), { followers: 1, following: 0, followed: true });
+        assert.deepEqual(await friends.counts(star, null), { followers: 1, following: 0, followed: false });
+        assert.deepEqual(await friends.boardIds(fan), [fan.twitterId, star.twitterId]);
+
+        await friends.unfollow(fan, 'star');
+        assert.deepEqual(await friends.boardIds(fan), [fan.twitterId]);
+    });
+
+    it('imports only players who are here, skipping the importer', async () => {
+        await friends.follow(fan, 'star');
+        assert.equal(await friends.importFollows(fan, [star.twitterId, rival.twitterId, fan.twitterId, 'id-not-playing']), 1);
+        assert.deepEqual((await friends.list(fan)).following.map(u => u.username).sort(), ['rival', 'star']);
+    });
+
+    describe('scoreBeaten', () => {
+        beforeEach(async () => {
+            await friends.follow(fan, 'star');
+            await storage.addScore(fan.twitterId, 500, {});
+        });
+
+        it('tells followers whose best the new score beats', async () => {
+            assert.equal(await friends.scoreBeaten(star, 100, 600), 1);
+            assert.deepEqual(told, [['fan', { username: 'star', score: 600, best: 500 }]]);
+        });
+
+        it('tells followers on a first run too', async () => {
+            assert.equal(await friends.scoreBeaten(star, null, 600), 1);
+        });
+
+        it('says nothing when the score only ties or stays below their best', async () => {
+            assert.equal(await friends.scoreBeaten(star, 100, 500), 0);
+            assert.equal(await friends.scoreBeaten(star, null, 300), 0);
+            assert.deepEqual(told, []);
+        });
+
+        it('says nothing again once the player was already ahead', async () => {
+            assert.equal(await friends.scoreBeaten(star, 550, 700), 0);
+            assert.equal(await friends.scoreBeaten(star, 500, 700), 1);
+        });
+
+        it('says nothing when the run isn\'t a new best', async () => {
+            assert.equal(await friends.scoreBeaten(star, 900, 600), 0);
+        });
+
+        it('only tells followers with a score, and not people the player follows', async () => {
+            const newcomer = makeUser('newcomer');
+            await storage.saveUser(newcomer);
+            await friends.follow(newcomer, 'star');
+            await friends.follow(star, 'rival');
+            await storage.addScore(rival.twitterId, 100, {});
+            assert.equal(await friends.scoreBeaten(star, null, 600), 1);
+            assert.deepEqual(told.map(([username]) => username), ['fan']);
+        });
+    });
+});
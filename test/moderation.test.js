@@ -0,0 +1,146 @@
+// Chat moderation: who may run commands, how they are parsed and what they change.
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../storage');
+const Moderation = require('../lib/moderation');
+const Chat = require('../lib/chat');
+
+function makeUser(twitterId, username) {
+    return { twitterId, username, displayName: username, photoUrl: '', profileUrl: '' };
+}
+
+describe('parseDuration', () => {
+    it('reads seconds, minutes, hours and days', () => {
+        assert.equal(Moderation.parseDuration('30s'), 30 * 1000);
+        assert.equal(Moderation.parseDuration('10m'), 10 * 60 * 1000);
+        assert.equal(Moderation.parseDuration('2H'), 2 * 60 * 60 * 1000);
+        assert.equal(Moderation.parseDuration('1d'), 24 * 60 * 60 * 1000);
+    });
+
+    it('returns null for anything else', () => {
+        ['', '10', 'm', '1.5h', '-1m', '10 m', '1w', undefined].forEach(str => assert.equal(Moderation.parseDuration(str), null, str));
+    });
+});
+
+describe('account status', () => {
+    it('tells admins, mutes and bans apart', () => {
+        const now = new Date('2026-01-01T00:00:00Z');
+        assert.equal(Moderation.isAdmin({ role: 'admin' }), true);
+        assert.equal(Moderation.isAdmin({ role: 'player' }), false);
+        assert.equal(Moderation.isAdmin(null), false);
+        assert.equal(Moderation.isMuted({ mutedUntil: new Date('2026-01-01T00:01:00Z') }, now), true);
+        assert.equal(Moderation.isMuted({ mutedUntil: new Date('2025-12-31T23:59:00Z') }, now), false);
+        assert.equal(Moderation.isMuted({ mutedUntil: null }, now), false);
+        assert.equal(Moderation.isBanned({ banned: true }), true);
+        assert.equal(Moderation.isBanned(null), false);
+    });
+
+    it('promotes the handles in ADMIN_USERNAMES, ignoring case and @', () => {
+        const saved = process.env.ADMIN_USERNAMES;
+        process.env.ADMIN_USERNAMES = '@Alice, bob';
+        try {
+            assert.equal(Moderation.isConfiguredAdmin('alice'), true);
+            assert.equal(Moderation.isConfiguredAdmin('BOB'), true);
+            assert.equal(Moderation.isConfiguredAdmin('carol'), false);
+        } finally {
+            if (saved === undefined) delete process.env.ADMIN_USERNAMES;
+            else process.env.ADMIN_USERNAMES = saved;
+        }
+    });
+});
+
+describe('createModeration', () => {
+    let storage, moderation, deleted, admin, player;
+
+    beforeEach(async () => {
+        storage = createStorage('memory');
+        await storage.init();
+        deleted = [];
+        moderation = Moderation.createModeration({ storage, onDelete: id => deleted.push(id) });
+        await storage.saveUser(makeUser('1', 'admin'));
+        await storage.saveUser(makeUser('2', 'player'));
+        await storage.updateUserStatus('1', { role: 'admin' });
+        admin = await storage.getUser('1');
+        player = await storage.getUser('2');
+    });
+
+    it('recognises commands by their leading slash', () => {
+        assert.equal(moderation.isCommand('/mute @player'), true);
+        assert.equal(moderation.isCommand('hello /mute'), false);
+        assert.equal(moderation.isCommand(null), false);
+    });
+
+    it('only lets admins run commands', async () => {
+        assert.match((await moderation.runCommand(player, '/ban @admin')).error, /Only admins/);
+        assert.match((await moderation.runCommand(null, '/help')).error, /Only admins/);
+        assert.ok((await moderation.runCommand(admin, '/help')).notice.includes('/mute'));
+    });
+
+    it('refuses unknown commands, including names every object has', async () => {
+        for (const text of ['/nope', '/constructor', '/toString', '/__proto__', '/hasOwnProperty']) {
+            assert.match((await moderation.runCommand(admin, text)).error, /Unknown command/, text);
+        }
+    });
+
+    it('mutes for the given time, case-insensitively, and logs it', async () => {
+        const before = Date.now();
+        const result = await moderation.runCommand(admin, '/MUTE @player 2h spamming links');
+        assert.match(result.notice, /muted for 2h/);
+        const muted = await storage.getUser('2');
+        assert.ok(muted.mutedUntil.getTime() >= before + 2 * 60 * 60 * 1000);
+        const [entry] = await storage.getModerationLog(1);
+        assert.deepEqual([entry.moderatorId, entry.action, entry.targetId, entry.details], ['1', 'mute', '2', '2h spamming links']);
+
+        await moderation.runCommand(admin, '/unmute player');
+        assert.equal(Moderation.isMuted(await storage.getUser('2')), false);
+    });
+
+    it('mutes for 10 minutes by default and refuses bad durations', async () => {
+        assert.match((await moderation.runCommand(admin, '/mute @player')).notice, /10m/);
+        assert.match((await moderation.runCommand(admin, '/mute @player forever')).error, /not a duration/);
+    });
+
+    it('bans and unbans', async () => {
+        await moderation.runCommand(admin, '/ban @player cheating');
+        assert.equal(Moderation.isBanned(await storage.getUser('2')), true);
+        await moderation.runCommand(admin, '/unban @player');
+        assert.equal(Moderation.isBanned(await storage.getUser('2')), false);
+    });
+
+    it('won\'t act on missing players or admins', async () => {
+        assert.match((await moderation.runCommand(admin, '/ban')).error, /Missing @user/);
+        assert.match((await moderation.runCommand(admin, '/ban @nobody')).error, /No player/);
+        assert.match((await moderation.runCommand(admin, '/ban @admin')).error, /is an admin/);
+        assert.equal(Moderation.isBanned(await storage.getUser('1')), false);
+    });
+
+    it('deletes a message, keeping its text in the log', async () => {
+        const id = await storage.addMessage({ user: '@player', text: 'rude words' });
+        assert.match((await moderation.runCommand(admin, `/delete ${id}`)).notice, /deleted/);
+        assert.equal(await storage.getMessage(id), null);
+        assert.deepEqual(deleted, [id]);
+        assert.equal((await storage.getModerationLog(1))[0].details, '@player: rude words');
+        assert.match((await moderation.runCommand(admin, `/delete ${id}`)).error, /No message/);
+    });
+
+    it('stores reports with a trimmed, shortened reason', async () => {
+        const id = await storage.addMessage({ user: '@admin', text: 'hi' });
+        const result = await moderation.report(player, id, `  ${'x'.repeat(300)}  `);
+        assert.equal(result.message.id, id);
+        assert.equal(result.reason.length, 200);
+        assert.equal((await moderation.report(player, id, 42)).reason, '');
+        assert.match((await moderation.report(player, 9999)).error, /no longer exists/);
+    });
+});
+
+describe('report rate limit', () => {
+    it('counts reports like messages, apart from them', () => {
+        const filter = Chat.createChatFilter({ rateLimit: 1, rateWindowMs: 1000 });
+        const player = { twitterId: 'player-1' };
+        assert.match(filter.checkReport(null).error, /Connect X/);
+        assert.deepEqual(filter.checkReport(player, 0), {});
+        assert.match(filter.checkReport(player, 10).error, /too fast/);
+        assert.ok(filter.check(player, 'still fine', 10).text);
+        assert.deepEqual(filter.checkReport(player, 1000), {});
+    });
+});
@@ -0,0 +1,164 @@
+// Score verification: a submission is only accepted when replaying its inputs gives back
+// everything it claims.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TieSim = require('../public/sim');
+const { catalog } = require('../lib/catalog');
+const Runs = require('../lib/runs');
+const Daily = require('../lib/daily');
+
+const INPUTS = [30, 1, 90, 0, 150, 2, 200, 0];
+
+// A ticket issued long enough ago for any run, and the honest submission for it
+function playedRun(seed = 12345) {
+    const run = { ...Runs.issueRun(seed), issuedAt: 0 };
+    const result = TieSim.replay(seed, INPUTS, 100000, catalog);
+    const submission = {
+        token: run.token,
+        score: result.score,
+        frames: result.frames,
+        inputs: INPUTS,
+        catches: { ...result.stats.catches },
+        deathSource: result.deathSource.name
+    };
+    return { run, result, submission };
+}
+
+describe('verifyRun', () => {
+    it('accepts a submission that matches its replay', () => {
+        const { run, result, submission } = playedRun();
+        const verdict = Runs.verifyRun(run, submission);
+        assert.equal(verdict.error, undefined);
+        assert.equal(verdict.score, result.score);
+        assert.deepEqual(verdict.replay, { version: TieSim.VERSION, catalogVersion: catalog.version, seed: run.seed, frames: result.frames, inputs: INPUTS });
+        assert.equal(verdict.summary.deathSource, result.deathSource.name);
+        assert.deepEqual(verdict.summary.catches, result.stats.catches);
+    });
+
+    it('accepts the claimed catches in any order', () => {
+        const { run, submission } = playedRun();
+        const reversed = Object.fromEntries(Object.entries(submission.catches).reverse());
+        assert.equal(Runs.verifyRun(run, { ...submission, catches: reversed }).error, undefined);
+    });
+
+    it('rejects a submission without a run, as when its token was already used', () => {
+        const { run, submission } = playedRun();
+        const session = {};
+        Runs.rememberRun(session, run);
+        delete session.runs[run.token]; // What the server does once a score is stored
+        assert.match(Runs.verifyRun(session.runs[run.token], submission).error, /No active run/);
+    });
+
+    it('rejects a token from another run', () => {
+        const { run, submission } = playedRun();
+        assert.match(Runs.verifyRun(run, { ...submission, token: 'someone-elses' }).error, /token/);
+    });
+
+    it('rejects a forged score', () => {
+        const { run, submission } = playedRun();
+        assert.match(Runs.verifyRun(run, { ...submission, score: submission.score + 100 }).error, /Replay scored/);
+        assert.match(Runs.verifyRun(run, { ...submission, score: -1 }).error, /non-negative/);
+        assert.match(Runs.verifyRun(run, { ...submission, score: 1.5 }).error, /non-negative/);
+    });
+
+    it('rejects catches or a death that the replay does not show', () => {
+        const { run, submission } = playedRun();
+        assert.match(Runs.verifyRun(run, { ...submission, catches: { ...submission.catches, forged: 1 } }).error, /Catches/);
+        assert.match(Runs.verifyRun(run, { ...submission, catches: null }).error, /Catches/);
+        assert.match(Runs.verifyRun(run, { ...submission, deathSource: 'not-a-hazard.png' }).error, /died to/);
+    });
+
+    it('rejects a run that ends on another frame than claimed', () => {
+        const { run, submission } = playedRun();
+        assert.match(Runs.verifyRun(run, { ...submission, frames: submission.frames - 1 }).error, /did not end/);
+    });
+
+    it('rejects frame counts out of range', () => {
+        const { run, submission } = playedRun();
+        assert.match(Runs.verifyRun(run, { ...submission, frames: 0 }).error, /Frame count/);
+        assert.match(Runs.verifyRun(run, { ...submission, frames: 60 * 60 * TieSim.FPS + 1 }).error, /Frame count/);
+        assert.match(Runs.verifyRun(run, { ...submission, frames: '100' }).error, /Frame count/);
+    });
+
+    it('rejects malformed input logs', () => {
+        const { run, submission } = playedRun();
+        const malformed = [
+            'not an array',
+            [30],                        // odd length
+            [30, 1, 30, 0],              // frames not increasing
+            [30, 99],                    // unknown input
+            [submission.frames + 1, 1],  // after the run ended
+            [1.5, 1]                     // not a frame number
+        ];
+        malformed.forEach(inputs => assert.match(Runs.verifyRun(run, { ...submission, inputs }).error, /Input log/));
+    });
+
+    it('rejects a run submitted sooner than it could have been played', () => {
+        const { run, submission } = playedRun();
+        assert.match(Runs.verifyRun({ ...run, issuedAt: Date.now() }, submission).error, /faster/);
+    });
+});
+
+describe('createSubmissionCache', () => {
+    const ok = { status: 200, body: { success: true } };
+
+    it('answers a retry with the first answer, marked duplicate, without handling it again', async () => {
+        const cache = Runs.createSubmissionCache();
+        let handled = 0;
+        const handle = () => { handled++; return ok; };
+        assert.deepEqual(await cache.once('a', handle, 0), ok);
+        assert.deepEqual(await cache.once('a', handle, 1000), { status: 200, body: { success: true, duplicate: true } });
+        assert.deepEqual(await cache.once('b', handle, 1000), ok);
+        assert.equal(handled, 2);
+    });
+
+    it('makes a retry that arrives during the first wait for it', async () => {
+        const cache = Runs.createSubmissionCache();
+        let handled = 0;
+        let finish;
+        const first = cache.once('a', () => { handled++; return new Promise(resolve => { finish = resolve; }); }, 0);
+        const retry = cache.once('a', () => { handled++; return ok; }, 0);
+        await new Promise(setImmediate);
+        finish({ status: 400, body: { error: 'No active run.' } });
+        assert.deepEqual(await first, { status: 400, body: { error: 'No active run.' } });
+        assert.deepEqual(await retry, { status: 400, body: { error: 'No active run.', duplicate: true } });
+        assert.equal(handled, 1);
+    });
+
+    it('forgets server errors, so they can be retried', async () => {
+        const cache = Runs.createSubmissionCache();
+        assert.equal((await cache.once('a', () => ({ status: 500, body: {} }), 0)).status, 500);
+        assert.deepEqual(await cache.once('a', () => ok, 0), ok);
+        await assert.rejects(cache.once('b', () => { throw new Error('storage down'); }, 0));
+        assert.deepEqual(await cache.once('b', () => ok, 0), ok);
+    });
+
+    it('forgets answers once the retry window is over', async () => {
+        const cache = Runs.createSubmissionCache({ windowMs: 1000 });
+        await cache.once('a', () => ok, 0);
+        assert.equal((await cache.once('a', () => ok, 999)).body.duplicate, true);
+        assert.equal((await cache.once('a', () => ok, 1000)).body.duplicate, undefined);
+    });
+
+    it('keeps at most `max` answers, forgetting the oldest', async () => {
+        const cache = Runs.createSubmissionCache({ max: 2 });
+        for (const key of ['a', 'b', 'c']) await cache.once(key, () => ok, 0);
+        await cache.once('d', () => ok, 0);
+        assert.equal((await cache.once('a', () => ok, 0)).body.duplicate, undefined);
+        assert.equal((await cache.once('d', () => ok, 0)).body.duplicate, true);
+    });
+});
+
+describe('Daily.describe', () => {
+    const challenge = Daily.challengeFor('2026-03-14');
+
+    it("keeps the seed back until the day is over", () => {
+        const shown = Daily.describe(challenge, new Date('2026-03-14T23:59:59Z'));
+        assert.equal(shown.seed, undefined);
+        assert.equal(shown.modifier, challenge.modifier);
+    });
+
+    it('shows the seed once the day has ended', () => {
+        assert.equal(Daily.describe(challenge, new Date('2026-03-15T00:00:00Z')).seed, challenge.seed);
+    });
+});
@@ -0,0 +1,129 @@
+// Power-ups and combos: what a catch is worth, and what each effect does while it lasts.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TieSim = require('../public/sim');
+const { catalog } = require('../lib/catalog');
+
+const COIN = 'tie-blue.png';    // classic, 10 points
+const HAZARD = 'gg-bomb.png';
+
+function asset(name) {
+    return catalog.items.find(item => item.name === name);
+}
+
+// Puts an item where the basket catches it (or a hazard hits it) on the next step
+function dropOnBasket(run, name) {
+    run.items.push({ x: run.playerX, y: TieSim.BASKET_Y - 2, asset: asset(name), speed: 0, rot: 0, angle: 0 });
+}
+
+// Puts an item just past the bottom of the screen, away from the basket
+function dropPast(run, name) {
+    run.items.push({ x: 0, y: TieSim.GAME_H + 1, asset: asset(name), speed: 0, rot: 0, angle: 0 });
+}
+
+function catchOne(run, name = COIN) {
+    dropOnBasket(run, name);
+    return TieSim.step(run, 0);
+}
+
+// Steps without anything on screen, so nothing is caught or hit
+function idle(run, frames) {
+    for (let i = 0; i < frames; i++) {
+        run.items = [];
+        TieSim.step(run, 0);
+    }
+}
+
+describe('comboMultiplier', () => {
+    it('adds one for every 10 consecutive catches, up to 5', () => {
+        assert.equal(TieSim.comboMultiplier(0), 1);
+        assert.equal(TieSim.comboMultiplier(9), 1);
+        assert.equal(TieSim.comboMultiplier(10), 2);
+        assert.equal(TieSim.comboMultiplier(39), 4);
+        assert.equal(TieSim.comboMultiplier(40), 5);
+        assert.equal(TieSim.comboMultiplier(1000), 5);
+    });
+});
+
+describe('combos', () => {
+    it('multiply points once a combo is going', () => {
+        const run = TieSim.createRun(1, catalog);
+        const points = [];
+        for (let i = 0; i < 12; i++) points.push(catchOne(run).find(e => e.type === 'catch').points);
+        assert.deepEqual(points, [10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 20, 20]);
+        assert.equal(run.score, 140);
+        assert.deepEqual([run.combo, run.bestCombo], [12, 12]);
+    });
+
+    it('break when a scoring item falls past, but not for hazards', () => {
+        const run = TieSim.createRun(1, catalog);
+        for (let i = 0; i < 10; i++) catchOne(run);
+        dropPast(run, HAZARD);
+        TieSim.step(run, 0);
+        assert.equal(run.combo, 10);
+
+        dropPast(run, COIN);
+        assert.deepEqual(TieSim.step(run, 0).map(e => e.type), ['miss']);
+        assert.deepEqual([run.combo, run.bestCombo], [0, 10]);
+        assert.equal(catchOne(run).find(e => e.type === 'catch').points, 10);
+    });
+});
+
+describe('power-ups', () => {
+    it('are counted, but neither score nor add to the combo', () => {
+        const run = TieSim.createRun(1, catalog);
+        const events = catchOne(run, 'power-shield');
+        assert.deepEqual(events.map(e => e.type), ['powerup']);
+        assert.deepEqual([run.score, run.combo, run.stats.powerups], [0, 0, 1]);
+        assert.deepEqual(run.stats.catches, {});
+    });
+
+    it('last their duration in frames', () => {
+        const run = TieSim.createRun(1, catalog);
+        catchOne(run, 'power-magnet');
+        const duration = asset('power-magnet').duration;
+        idle(run, duration - 1);
+        assert.equal(run.effects.magnet, 1);
+        idle(run, 1);
+        assert.equal(run.effects.magnet, undefined);
+    });
+
+    it('multiply points by their factor, on top of the combo, until they run out', () => {
+        const run = TieSim.createRun(1, catalog);
+        for (let i = 0; i < 10; i++) catchOne(run);
+        catchOne(run, 'power-double');
+        assert.equal(run.scoreFactor, 2);
+        assert.equal(catchOne(run).find(e => e.type === 'catch').points, 10 * 2 * 2);
+        idle(run, asset('power-double').duration);
+        assert.equal(catchOne(run).find(e => e.type === 'catch').points, 10 * 2);
+    });
+
+    it('shield absorbs one hit', () => {
+        const run = TieSim.createRun(1, catalog);
+        catchOne(run, 'power-shield');
+        assert.deepEqual(catchOne(run, HAZARD).map(e => e.type), ['shield']);
+        assert.equal(run.dead, false);
+        assert.equal(run.effects.shield, undefined);
+        assert.deepEqual(catchOne(run, HAZARD).map(e => e.type), ['death']);
+        assert.equal(run.deathSource.name, HAZARD);
+    });
+
+    it('slow-mo halves how far items fall', () => {
+        const run = TieSim.createRun(1, catalog);
+        catchOne(run, 'power-slowmo');
+        run.items.push({ x: 0, y: 0, asset: asset(COIN), speed: 4, rot: 0, angle: 0 });
+        TieSim.step(run, 0);
+        assert.equal(run.items[0].y, 2);
+    });
+
+    it('magnet pulls good items toward the basket, six pixels a frame, and leaves hazards alone', () => {
+        const run = TieSim.createRun(1, catalog);
+        catchOne(run, 'power-magnet');
+        const x = run.playerX - 100;
+        run.items.push({ x: x, y: 0, asset: asset(COIN), speed: 0, rot: 0, angle: 0 });
+        run.items.push({ x: x, y: 0, asset: asset(HAZARD), speed: 0, rot: 0, angle: 0 });
+        TieSim.step(run, 0);
+        assert.equal(run.items.find(i => i.asset.name === COIN).x, x + 6);
+        assert.equal(run.items.find(i => i.asset.name === HAZARD).x, x);
+    });
+});
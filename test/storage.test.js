@@ -0,0 +1,591 @@
+// Storage contract: every adapter in storage/ must pass this suite.
+// memory and sqlite (in-memory database) always run; supabase and mongo run
+// against disposable instances when SUPABASE_TEST_URL / MONGO_TEST_URI are set.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../storage');
+
+const ADAPTERS = [
+    { name: 'memory' },
+    { name: 'sqlite', options: { filename: ':memory:' } },
+    { name: 'supabase', options: { url: process.env.SUPABASE_TEST_URL, key: process.env.SUPABASE_TEST_KEY }, skip: !process.env.SUPABASE_TEST_URL && 'SUPABASE_TEST_URL not set' },
+    { name: 'mongo', options: { uri: process.env.MONGO_TEST_URI, dbName: `tiedrop_test_${Date.now()}` }, skip: !process.env.MONGO_TEST_URI && 'MONGO_TEST_URI not set' }
+];
+
+// Unique per run so suites against shared remote databases don't see each other's rows
+let seq = 0;
+function makeUser(name) {
+    const id = `test-${Date.now()}-${++seq}`;
+    return {
+        twitterId: id,
+        username: `${name}_${id}`,
+        displayName: name,
+        photoUrl: `https://example.com/${id}.png`,
+        profileUrl: `https://twitter.com/${name}_${id}`
+    };
+}
+
+function storageContract(name, options) {
+    let storage;
+
+    before(async () => {
+        storage = createStorage(name, options);
+        await storage.init();
+    });
+
+    after(async () => {
+        await storage.close();
+    });
+
+    it('returns an id for every score it stores', async () => {
+        const user = makeUser('ids');
+        await storage.saveUser(user);
+        const first = await storage.addScore(user.twitterId, 10);
+        const second = await storage.addScore(user.twitterId, 20);
+        assert.ok(first);
+        assert.ok(second);
+        assert.notEqual(String(first), String(second));
+    });
+
+    it('ranks each user once by their best score', async () => {
+        const alice = makeUser('alice');
+        const bob = makeUser('bob');
+        await storage.saveUser(alice);
+        await storage.saveUser(bob);
+        await storage.addScore(alice.twitterId, 900000);
+        const bobBest = await storage.addScore(bob.twitterId, 950000);
+        const aliceBest = await storage.addScore(alice.twitterId, 990000);
+
+        const board = await storage.getLeaderboard({ limit: 20 });
+        const mine = board.filter(r => r.username === alice.username || r.username === bob.username);
+        assert.deepEqual(mine.map(r => ({ ...r, scoreId: String(r.scoreId) })), [
+            { username: alice.username, photoUrl: alice.photoUrl, profileUrl: alice.profileUrl, highScore: 990000, scoreId: String(aliceBest) },
+            { username: bob.username, photoUrl: bob.photoUrl, profileUrl: bob.profileUrl, highScore: 950000, scoreId: String(bobBest) }
+        ]);
+    });
+
+    it('sorts the leaderboard best first and honours the limit', async () => {
+        const board = await storage.getLeaderboard({ limit: 2 });
+        assert.ok(board.length <= 2);
+        for (let i = 1; i < board.length; i++) {
+            assert.ok(board[i - 1].highScore >= board[i].highScore);
+        }
+    });
+
+    it('looks up a single score with its player', async () => {
+        const user = makeUser('single');
+        await storage.saveUser(user);
+        const id = await storage.addScore(user.twitterId, 1234, { frames: 600, catches: { classic: 3 }, deathSource: 'gg-bomb.png' });
+
+        const score = await storage.getScore(id);
+        assert.equal(String(score.id), String(id));
+        assert.equal(score.twitterId, user.twitterId);
+        assert.equal(score.username, user.username);
+        assert.equal(score.score, 1234);
+        assert.equal(score.deathSource, 'gg-bomb.png');
+        assert.ok(score.createdAt instanceof Date);
+    });
+
+    it('lists a user\'s runs newest first with their details', async () => {
+        const user = makeUser('history');
+        await storage.saveUser(user);
+        assert.deepEqual(await storage.getUserRuns(user.twitterId), []);
+
+        await storage.addScore(user.twitterId, 40);
+        const second = await storage.addScore(user.twitterId, 120, { frames: 900, catches: { classic: 4, rare: 2 }, deathSource: 'gg-fire.png' });
+        await storage.addScore(user.twitterId, 60, { frames: 400, catches: { classic: 6 }, deathSource: 'gg-bomb.png' });
+
+        const runs = await storage.getUserRuns(user.twitterId);
+        assert.deepEqual(runs.map(r => r.score), [60, 120, 40]);
+        assert.deepEqual(
+            { id: String(runs[1].id), frames: runs[1].frames, catches: runs[1].catches, deathSource: runs[1].deathSource },
+            { id: String(second), frames: 900, catches: { classic: 4, rare: 2 }, deathSource: 'gg-fire.png' }
+        );
+        assert.equal(runs[2].frames, null);
+        assert.equal(runs[2].deathSource, null);
+        assert.ok(runs[0].createdAt instanceof Date);
+
+        const page = await storage.getUserRuns(user.twitterId, { limit: 1, offset: 1 });
+        assert.deepEqual(page.map(r => r.score), [120]);
+    });
+
+    it('stores replays and prunes old ones except those it is told to keep', async () => {
+        const user = makeUser('replayer');
+        await storage.saveUser(user);
+        const kept = await storage.addScore(user.twitterId, 100);
+        const dropped = await storage.addScore(user.twitterId, 50);
+        const replay = { version: 1, catalogVersion: 3, seed: 4294967295, frames: 300, inputs: [12, 1, 40, 0, 41, 2] };
+        await storage.saveReplay({ scoreId: kept, ...replay });
+        await storage.saveReplay({ scoreId: dropped, ...replay });
+
+        const stored = await storage.getReplay(kept);
+        assert.deepEqual({ ...stored, scoreId: String(stored.scoreId), createdAt: undefined }, { scoreId: String(kept), ...replay, createdAt: undefined });
+        assert.equal(await storage.getReplay('999999999'), null);
+
+        // Everything counts as old when the cutoff is in the future
+        await storage.pruneReplays(new Date(Date.now() + 60 * 1000), [kept]);
+        assert.ok(await storage.getReplay(kept));
+        assert.equal(await storage.getReplay(dropped), null);
+    });
+
+    it('pages through the leaderboard with offset', async () => {
+        const full = await storage.getLeaderboard({ limit: 4 });
+        const second = await storage.getLeaderboard({ limit: 2, offset: 2 });
+        assert.deepEqual(second, full.slice(2, 4));
+    });
+
+    it('only counts scores made since the window start', async () => {
+        const user = makeUser('windowed');
+        await storage.saveUser(user);
+        await storage.addScore(user.twitterId, 5);
+
+        const recent = await storage.getLeaderboard({ since: new Date(Date.now() - 60 * 60 * 1000), limit: 1000 });
+        assert.ok(recent.some(r => r.username === user.username));
+        const future = await storage.getLeaderboard({ since: new Date(Date.now() + 60 * 60 * 1000), limit: 1000 });
+        assert.ok(!future.some(r => r.username === user.username));
+        assert.equal(await storage.getUserRank(user.twitterId, { since: new Date(Date.now() + 60 * 60 * 1000) }), null);
+    });
+
+    it('only counts scores made before the window end', async () => {
+        const user = makeUser('ended');
+        await storage.saveUser(user);
+        await storage.addScore(user.twitterId, 6);
+        const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+        const inAnHour = new Date(Date.now() + 60 * 60 * 1000);
+
+        const open = await storage.getLeaderboard({ since: hourAgo, until: inAnHour, limit: 1000 });
+        assert.ok(open.some(r => r.username === user.username));
+        const closed = await storage.getLeaderboard({ since: new Date(hourAgo - 60 * 60 * 1000), until: hourAgo, limit: 1000 });
+        assert.ok(!closed.some(r => r.username === user.username));
+        assert.equal((await storage.getUserRank(user.twitterId, { since: hourAgo, until: inAnHour })).highScore, 6);
+        assert.equal(await storage.getUserRank(user.twitterId, { until: hourAgo }), null);
+    });
+
+    it('reports a user rank that matches their leaderboard position', async () => {
+        const user = makeUser('ranked');
+        await storage.saveUser(user);
+        await storage.addScore(user.twitterId, 7);
+        await storage.addScore(user.twitterId, 3);
+
+        const mine = await storage.getUserRank(user.twitterId);
+        assert.equal(mine.highScore, 7);
+        const [row] = await storage.getLeaderboard({ limit: 1, offset: mine.rank - 1 });
+        assert.equal(row.username, user.username);
+        assert.equal(await storage.getUserRank(makeUser('nobody').twitterId), null);
+    });
+
+    it('updates a returning user instead of duplicating them', async () => {
+        const user = makeUser('renamed');
+        await storage.saveUser(user);
+        await storage.addScore(user.twitterId, 980000);
+        await storage.saveUser({ ...user, username: `${user.username}_new` });
+
+        const board = await storage.getLeaderboard({ limit: 20 });
+        assert.equal(board.filter(r => r.username.startsWith(user.username)).length, 1);
+        assert.ok(board.some(r => r.username === `${user.username}_new`));
+    });
+
+    it('returns the most recent messages oldest first', async () => {
+        const tag = `msg-${Date.now()}`;
+        for (let i = 1; i <= 5; i++) {
+            await storage.addMessage({ user: '@tester', text: `${tag} ${i}` });
+        }
+
+        const recent = await storage.getRecentMessages(3);
+        assert.deepEqual(recent.map(({ user, text }) => ({ user, text })), [
+            { user: '@tester', text: `${tag} 3` },
+            { user: '@tester', text: `${tag} 4` },
+            { user: '@tester', text: `${tag} 5` }
+        ]);
+        assert.ok(recent.every(m => m.id));
+    });
+
+    it('gives new users the default role and no mute or ban', async () => {
+        const user = makeUser('fresh');
+        await storage.saveUser(user);
+        const stored = await storage.getUser(user.twitterId);
+        assert.deepEqual(stored, { ...user, role: 'user', mutedUntil: null, banned: false });
+        assert.equal(await storage.getUser('missing-user'), null);
+    });
+
+    it('finds users by handle regardless of case', async () => {
+        const user = makeUser('Case_Sensitive');
+        await storage.saveUser(user);
+        const found = await storage.findUserByUsername(user.username.toUpperCase());
+        assert.equal(found.twitterId, user.twitterId);
+        assert.equal(await storage.findUserByUsername(user.username.replace(/_/g, 'x')), null);
+    });
+
+    it('updates role, mute and ban without a re-login undoing them', async () => {
+        const user = makeUser('status');
+        await storage.saveUser(user);
+        const until = new Date(Date.now() + 10 * 60 * 1000);
+        await storage.updateUserStatus(user.twitterId, { role: 'admin', mutedUntil: until, banned: true });
+        await storage.saveUser(user);
+
+        const stored = await storage.getUser(user.twitterId);
+        assert.equal(stored.role, 'admin');
+        assert.equal(stored.mutedUntil.getTime(), until.getTime());
+        assert.equal(stored.banned, true);
+
+        await storage.updateUserStatus(user.twitterId, { mutedUntil: null, banned: false });
+        const cleared = await storage.getUser(user.twitterId);
+        assert.equal(cleared.role, 'admin');
+        assert.equal(cleared.mutedUntil, null);
+        assert.equal(cleared.banned, false);
+    });
+
+    it('deletes messages out of history', async () => {
+        const tag = `del-${Date.now()}`;
+        const id = await storage.addMessage({ user: '@tester', text: tag });
+        assert.deepEqual(await storage.getMessage(id), { id, user: '@tester', text: tag });
+
+        assert.equal(await storage.deleteMessage(id), true);
+        assert.equal(await storage.deleteMessage(id), false);
+        assert.equal(await storage.getMessage(id), null);
+        const recent = await storage.getRecentMessages(50);
+        assert.ok(!recent.some(m => m.text === tag));
+    });
+
+    it('keeps a win/loss/draw record per user from stored matches', async () => {
+        const alice = makeUser('versus_a');
+        const bob = makeUser('versus_b');
+        await storage.saveUser(alice);
+        await storage.saveUser(bob);
+        assert.deepEqual(await storage.getMatchRecord(alice.twitterId), { wins: 0, losses: 0, draws: 0 });
+
+        const match = { player1Id: alice.twitterId, player2Id: bob.twitterId, seed: 42 };
+        assert.ok(await storage.addMatch({ ...match, score1: 300, score2: 100, winnerId: alice.twitterId }));
+        await storage.addMatch({ ...match, score1: 200, score2: 200, winnerId: null });
+        await storage.addMatch({ ...match, score1: 0, score2: 50, winnerId: bob.twitterId });
+        await storage.addMatch({ ...match, score1: 500, score2: 10, winnerId: alice.twitterId });
+
+        assert.deepEqual(await storage.getMatchRecord(alice.twitterId), { wins: 2, losses: 1, draws: 1 });
+        assert.deepEqual(await storage.getMatchRecord(bob.twitterId), { wins: 1, losses: 2, draws: 1 });
+    });
+
+    it('saves per-user stats and unlocks each achievement once', async () => {
+        const user = makeUser('achiever');
+        await storage.saveUser(user);
+        assert.equal(await storage.getUserStats(user.twitterId), null);
+        assert.deepEqual(await storage.getAchievements(user.twitterId), []);
+
+        const run = { add: [[['runs'], 1], [['deaths', 'gg-bomb.png'], 1]], max: [[['best', 'catches', 'rare'], 4]] };
+        assert.deepEqual(await storage.addUserStats(user.twitterId, run), { runs: 1, deaths: { 'gg-bomb.png': 1 }, best: { catches: { rare: 4 } } });
+        await storage.addUserStats(user.twitterId, { add: [[['runs'], 1]], max: [[['best', 'catches', 'rare'], 2]] });
+        assert.deepEqual(await storage.getUserStats(user.twitterId), { runs: 2, deaths: { 'gg-bomb.png': 1 }, best: { catches: { rare: 4 } } });
+
+        assert.equal(await storage.unlockAchievement(user.twitterId, 'first-drop'), true);
+        assert.equal(await storage.unlockAchievement(user.twitterId, 'first-drop'), false);
+        assert.equal(await storage.unlockAchievement(user.twitterId, 'survivor'), true);
+        const earned = await storage.getAchievements(user.twitterId);
+        assert.deepEqual(earned.map(a => a.id), ['first-drop', 'survivor']);
+        assert.ok(earned.every(a => a.unlockedAt instanceof Date));
+    });
+
+    it('adds runs finishing at the same time to stats without losing any', async () => {
+        const user = makeUser('busy');
+        await storage.saveUser(user);
+        const run = score => ({ add: [[['runs'], 1], [['frames'], 100]], max: [[['best', 'score'], score]] });
+        await Promise.all([10, 50, 30, 20, 40].map(score => storage.addUserStats(user.twitterId, run(score))));
+        assert.deepEqual(await storage.getUserStats(user.twitterId), { runs: 5, frames: 500, best: { score: 50 } });
+    });
+
+    it('saves and replaces per-user settings', async () => {
+        const user = makeUser('settler');
+        await storage.saveUser(user);
+        assert.equal(await storage.getSettings(user.twitterId), null);
+
+        const settings = { controls: { left: ['ArrowLeft', 'a'], right: ['ArrowRight', 'd'], touch: 'drag' } };
+        await storage.saveSettings(user.twitterId, settings);
+        assert.deepEqual(await storage.getSettings(user.twitterId), settings);
+        await storage.saveSettings(user.twitterId, { controls: { ...settings.controls, touch: 'split' } });
+        assert.deepEqual(await storage.getSettings(user.twitterId), { controls: { ...settings.controls, touch: 'split' } });
+    });
+
+    it('counts only the first daily challenge attempt per user and date', async () => {
+        const a = makeUser('dailyA'); const b = makeUser('dailyB'); const c = makeUser('dailyC');
+        for (const user of [a, b, c]) await storage.saveUser(user);
+        // Dates unique to this run, so persistent backends don't see earlier runs' attempts
+        const day = `${a.twitterId}-day1`; const nextDay = `${a.twitterId}-day2`;
+        assert.equal(await storage.getDailyAttempt(day, a.twitterId), null);
+
+        assert.equal(await storage.startDailyAttempt(day, a.twitterId), true);
+        assert.equal(await storage.startDailyAttempt(day, a.twitterId), false);
+        assert.equal((await storage.getDailyAttempt(day, a.twitterId)).score, null);
+        assert.deepEqual(await storage.getDailyLeaderboard(day), []);
+
+        assert.equal(await storage.finishDailyAttempt(day, a.twitterId, 80), true);
+        assert.equal(await storage.finishDailyAttempt(day, a.twitterId, 500), false);
+        assert.equal(await storage.finishDailyAttempt(day, b.twitterId, 500), false); // never started
+        const attempt = await storage.getDailyAttempt(day, a.twitterId);
+        assert.equal(attempt.score, 80);
+        assert.ok(attempt.startedAt instanceof Date);
+
+        await storage.startDailyAttempt(day, b.twitterId);
+        await storage.finishDailyAttempt(day, b.twitterId, 120);
+        await storage.startDailyAttempt(day, c.twitterId); // abandoned
+        await storage.startDailyAttempt(nextDay, c.twitterId);
+        await storage.finishDailyAttempt(nextDay, c.twitterId, 999);
+
+        const board = await storage.getDailyLeaderboard(day);
+        assert.deepEqual(board.map(r => [r.username, r.score]), [[b.username, 120], [a.username, 80]]);
+        assert.deepEqual((await storage.getDailyLeaderboard(day, { limit: 1, offset: 1 })).map(r => r.username), [a.username]);
+    });
+
+    it('archives a season\'s standings only once', async () => {
+        const season = `season-${makeUser('season').twitterId}`;
+        const standings = [
+            { rank: 1, username: 'first', photoUrl: 'https://example.com/1.png', profileUrl: 'https://twitter.com/first', highScore: 500, scoreId: '7' },
+            { rank: 2, username: 'second', photoUrl: 'https://example.com/2.png', profileUrl: 'https://twitter.com/second', highScore: 300, scoreId: '3' }
+        ];
+        assert.equal(await storage.getSeasonStandings(season), null);
+        assert.equal(await storage.archiveSeason(season, standings), true);
+        assert.equal(await storage.archiveSeason(season, []), false);
+        assert.deepEqual(await storage.getSeasonStandings(season), standings);
+        assert.ok((await storage.listArchivedSeasons()).includes(season));
+    });
+
+    it('limits tournament attempts and keeps each player\'s best score', async () => {
+        const a = makeUser('cupA'); const b = makeUser('cupB');
+        for (const user of [a, b]) await storage.saveUser(user);
+        const startsAt = new Date(Date.now() - 60 * 60 * 1000);
+        const endsAt = new Date(Date.now() + 60 * 60 * 1000);
+        const id = await storage.addTournament({ name: 'Test Cup', startsAt, endsAt, maxAttempts: 2, createdBy: a.twitterId });
+        const other = await storage.addTournament({ name: 'Other Cup', startsAt, endsAt, maxAttempts: 1 });
+
+        const tournament = await storage.getTournament(id);
+        assert.equal(tournament.name, 'Test Cup');
+        assert.equal(tournament.maxAttempts, 2);
+        assert.equal(tournament.startsAt.getTime(), startsAt.getTime());
+        assert.equal(tournament.closedAt, null);
+        const listed = await storage.listTournaments({ since: new Date() });
+        assert.ok(listed.some(t => String(t.id) === String(id)));
+        assert.ok(!(await storage.listTournaments({ since: new Date(endsAt.getTime() + 1000) })).some(t => String(t.id) === String(id)));
+
+        assert.equal(await storage.getTournamentEntry(id, a.twitterId), null);
+        assert.equal(await storage.startTournamentAttempt(id, a.twitterId, 2), true);
+        assert.equal(await storage.startTournamentAttempt(id, a.twitterId, 2), true);
+        assert.equal(await storage.startTournamentAttempt(id, a.twitterId, 2), false);
+        assert.equal(await storage.finishTournamentAttempt(id, a.twitterId, 40), true);
+        assert.equal(await storage.finishTournamentAttempt(id, a.twitterId, 25), false); // not a new best
+        assert.deepEqual(await storage.getTournamentEntry(id, a.twitterId), { attempts: 2, bestScore: 40 });
+
+        await storage.startTournamentAttempt(id, b.twitterId, 2);
+        await storage.finishTournamentAttempt(id, b.twitterId, 90);
+        await storage.startTournamentAttempt(other, b.twitterId, 1);
+        await storage.finishTournamentAttempt(other, b.twitterId, 999);
+        const board = await storage.getTournamentLeaderboard(id);
+        assert.deepEqual(board.map(r => [r.username, r.score]), [[b.username, 90], [a.username, 40]]);
+        assert.deepEqual((await storage.getTournamentLeaderboard(id, { limit: 1, offset: 1 })).map(r => r.username), [a.username]);
+
+        assert.equal(await storage.closeTournament(id), true);
+        assert.equal(await storage.closeTournament(id), false);
+        assert.ok((await storage.getTournament(id)).closedAt instanceof Date);
+    });
+
+    it('queues webhook deliveries, hands each one out once and retries them later', async () => {
+        const hookId = `hook-${makeUser('hook').twitterId}`;
+        const mine = rows => rows.filter(d => d.hookId === hookId);
+        const first = await storage.addWebhookDelivery({ hookId, event: 'new-first', payload: '{"text":"one"}' });
+        const second = await storage.addWebhookDelivery({ hookId, event: 'top3', payload: '{"text":"two"}' });
+
+        const now = new Date(Date.now() + 1000);
+        const due = mine(await storage.getDueWebhookDeliveries(now, 1000));
+        assert.deepEqual(due.map(d => [String(d.id), d.event, d.payload, d.status, d.attempts]),
+            [[String(first), 'new-first', '{"text":"one"}', 'pending', 0], [String(second), 'top3', '{"text":"two"}', 'pending', 0]]);
+
+        const lease = new Date(now.getTime() + 60 * 1000);
+        assert.equal(await storage.claimWebhookDelivery(first, now, lease), true);
+        assert.equal(await storage.claimWebhookDelivery(first, now, lease), false); // already claimed
+        assert.deepEqual(mine(await storage.getDueWebhookDeliveries(now, 1000)).map(d => String(d.id)), [String(second)]);
+
+        const retryAt = new Date(now.getTime() + 30 * 1000);
+        await storage.updateWebhookDelivery(first, { status: 'pending', attempts: 1, nextAttemptAt: retryAt, lastError: 'HTTP 500' });
+        await storage.claimWebhookDelivery(second, now, lease);
+        await storage.updateWebhookDelivery(second, { status: 'delivered', attempts: 1, lastError: null });
+        assert.deepEqual(mine(await storage.getDueWebhookDeliveries(now, 1000)), []);
+        const retry = mine(await storage.getDueWebhookDeliveries(retryAt, 1000));
+        assert.deepEqual(retry.map(d => [String(d.id), d.attempts, d.lastError]), [[String(first), 1, 'HTTP 500']]);
+
+        const recent = mine(await storage.getRecentWebhookDeliveries(1000));
+        assert.deepEqual(recent.map(d => [String(d.id), d.status]), [[String(second), 'delivered'], [String(first), 'pending']]);
+        assert.ok(recent[0].createdAt instanceof Date);
+
+        await storage.pruneWebhookDeliveries(new Date(Date.now() + 60 * 60 * 1000)); // pending ones stay
+        assert.deepEqual(mine(await storage.getRecentWebhookDeliveries(1000)).map(d => String(d.id)), [String(first)]);
+    });
+
+    it('pages through recent runs and chat newest first', async () => {
+        const user = makeUser('recent');
+        await storage.saveUser(user);
+        const ids = [];
+        for (const score of [11, 22, 33]) ids.push(await storage.addScore(user.twitterId, score, { frames: 600, deathSource: 'anvil' }));
+        await storage.voidScore(ids[1]);
+
+        const [newest] = await storage.getRecentRuns({ limit: 1 });
+        assert.deepEqual([String(newest.id), newest.username, newest.profileUrl, newest.score, newest.frames, newest.deathSource],
+            [String(ids[2]), user.username, user.profileUrl, 33, 600, 'anvil']);
+        assert.ok(newest.createdAt instanceof Date);
+        const older = await storage.getRecentRuns({ limit: 1, before: newest.id });
+        assert.equal(String(older[0].id), String(ids[0])); // the voided run is skipped
+
+        const first = await storage.addMessage({ user: '@recent', text: 'one' });
+        const second = await storage.addMessage({ user: '@recent', text: 'two' });
+        const third = await storage.addMessage({ user: '@recent', text: 'three' });
+        await storage.deleteMessage(second);
+        const page = await storage.getMessages({ limit: 1 });
+        assert.deepEqual(page.map(m => [String(m.id), m.user, m.text]), [[String(third), '@recent', 'three']]);
+        assert.ok(page[0].createdAt instanceof Date);
+        const before = await storage.getMessages({ limit: 1, before: third });
+        assert.equal(String(before[0].id), String(first));
+    });
+
+    it('reads chat after an id and toggles reactions per player', async () => {
+        const alice = makeUser('reactA'); const bob = makeUser('reactB');
+        for (const user of [alice, bob]) await storage.saveUser(user);
+        const first = await storage.addMessage({ user: '@reactA', text: 'one' });
+        const second = await storage.addMessage({ user: '@reactA', text: 'two' });
+        const third = await storage.addMessage({ user: '@reactA', text: 'three' });
+        await storage.deleteMessage(second);
+        const after = await storage.getMessagesAfter(first, 10);
+        assert.deepEqual(after.map(m => [String(m.id), m.text]), [[String(third), 'three']]);
+        assert.ok(after[0].createdAt instanceof Date);
+        assert.deepEqual(await storage.getMessagesAfter(third, 10), []);
+
+        assert.equal(await storage.toggleReaction(first, alice.twitterId, '🔥'), true);
+        assert.equal(await storage.toggleReaction(first, bob.twitterId, '🔥'), true);
+        assert.equal(await storage.toggleReaction(first, bob.twitterId, '👍'), true);
+        assert.equal(await storage.toggleReaction(third, bob.twitterId, '😂'), true);
+        assert.equal(await storage.toggleReaction(third, bob.twitterId, '😂'), false); // second tap takes it back
+        assert.deepEqual(await storage.getReactions([first, third]), {
+            [String(first)]: { '🔥': [alice.username, bob.username], '👍': [bob.username] }
+        });
+        assert.deepEqual(await storage.getReactions([]), {});
+    });
+
+    it('follows players once and ranks a board of chosen players', async () => {
+        const alice = makeUser('followA'); const bob = makeUser('followB'); const carol = makeUser('followC');
+        for (const user of [alice, bob, carol]) await storage.saveUser(user);
+        assert.equal(await storage.follow(alice.twitterId, bob.twitterId), true);
+        assert.equal(await storage.follow(alice.twitterId, bob.twitterId), false);
+        assert.equal(await storage.follow(alice.twitterId, carol.twitterId), true);
+        assert.equal(await storage.follow(carol.twitterId, alice.twitterId), true);
+        assert.deepEqual((await storage.getFollowing(alice.twitterId)).map(u => u.username), [bob.username, carol.username]);
+        assert.deepEqual((await storage.getFollowers(alice.twitterId)).map(u => u.username), [carol.username]);
+        assert.equal(await storage.unfollow(alice.twitterId, carol.twitterId), true);
+        assert.equal(await storage.unfollow(alice.twitterId, carol.twitterId), false);
+        assert.deepEqual((await storage.getFollowing(alice.twitterId)).map(u => u.username), [bob.username]);
+        assert.deepEqual((await storage.getUsersByIds([carol.twitterId, 'nobody', alice.twitterId])).map(u => u.username), [alice.username, carol.username]);
+
+        await storage.addScore(alice.twitterId, 30);
+        await storage.addScore(bob.twitterId, 50);
+        await storage.addScore(carol.twitterId, 70);
+        const board = await storage.getLeaderboard({ twitterIds: [alice.twitterId, bob.twitterId], limit: 10 });
+        assert.deepEqual(board.map(r => [r.username, r.highScore]), [[bob.username, 50], [alice.username, 30]]);
+        assert.deepEqual(await storage.getLeaderboard({ twitterIds: [], limit: 10 }), []);
+    });
+
+    it('stores API keys by hash and revokes them once', async () => {
+        const keyHash = `hash-${makeUser('key').twitterId}`;
+        const id = await storage.addApiKey({ name: 'Overlay', keyHash, prefix: 'td_abcd', rateLimit: 120, createdBy: 'admin' });
+        const key = await storage.findApiKey(keyHash);
+        assert.deepEqual([String(key.id), key.name, key.prefix, key.rateLimit, key.createdBy, key.revokedAt],
+            [String(id), 'Overlay', 'td_abcd', 120, 'admin', null]);
+        assert.ok(key.createdAt instanceof Date);
+        assert.equal(key.keyHash, undefined);
+        assert.equal(await storage.findApiKey('no-such-hash'), null);
+        assert.equal(String((await storage.listApiKeys())[0].id), String(id));
+
+        assert.equal(await storage.revokeApiKey(id), true);
+        assert.equal(await storage.revokeApiKey(id), false);
+        assert.ok((await storage.findApiKey(keyHash)).revokedAt instanceof Date);
+    });
+
+    it('counts users', async () => {
+        const before = await storage.countUsers();
+        await storage.saveUser(makeUser('counted'));
+        assert.equal(await storage.countUsers(), before + 1);
+    });
+
+    it('searches users by part of their handle, case-insensitively', async () => {
+        const user = makeUser('FindMe');
+        const other = makeUser('someone');
+        await storage.saveUser(user);
+        await storage.saveUser(other);
+
+        const found = await storage.searchUsers(user.twitterId.toUpperCase());
+        assert.deepEqual(found.map(u => u.username), [user.username]);
+        assert.equal(found[0].role, 'user');
+        assert.deepEqual(await storage.searchUsers(`${user.twitterId}_%`), []); // wildcards are literal
+        assert.equal((await storage.searchUsers('findme_test', { limit: 1 })).length, 1);
+    });
+
+    it('drops voided scores from the leaderboard, ranks and run history', async () => {
+        const cheater = makeUser('cheater');
+        const honest = makeUser('honest');
+        await storage.saveUser(cheater);
+        await storage.saveUser(honest);
+        const cheated = await storage.addScore(cheater.twitterId, 999999);
+        await storage.addScore(cheater.twitterId, 999990);
+        await storage.addScore(cheater.twitterId, 15);
+        await storage.addScore(honest.twitterId, 999995);
+
+        assert.equal(await storage.voidScore(cheated), true);
+        assert.equal(await storage.voidScore(cheated), false);
+        assert.equal((await storage.getScore(cheated)).voided, true);
+        assert.equal((await storage.getUserRank(cheater.twitterId)).highScore, 999990);
+        let top = await storage.getLeaderboard({ limit: 2 });
+        assert.deepEqual(top.map(r => r.username), [honest.username, cheater.username]);
+
+        assert.equal(await storage.voidUserScores(cheater.twitterId), 2);
+        assert.equal(await storage.getUserRank(cheater.twitterId), null);
+        top = await storage.getLeaderboard({ limit: 1 });
+        assert.equal(top[0].username, honest.username);
+        assert.deepEqual(await storage.getUserRuns(cheater.twitterId), []);
+        const all = await storage.getUserRuns(cheater.twitterId, { includeVoided: true });
+        assert.deepEqual(all.map(r => [r.score, r.voided]), [[15, true], [999990, true], [999999, true]]);
+    });
+
+    it('takes a wiped player off daily challenge and tournament boards', async () => {
+        const cheater = makeUser('wipedCheater'); const honest = makeUser('wipedHonest');
+        for (const user of [cheater, honest]) await storage.saveUser(user);
+        const day = `${cheater.twitterId}-day`;
+        const startsAt = new Date(Date.now() - 60 * 60 * 1000);
+        const endsAt = new Date(Date.now() + 60 * 60 * 1000);
+        const cup = await storage.addTournament({ name: 'Wipe Cup', startsAt, endsAt, maxAttempts: 1 });
+        for (const [user, score] of [[cheater, 999], [honest, 50]]) {
+            await storage.startDailyAttempt(day, user.twitterId);
+            await storage.finishDailyAttempt(day, user.twitterId, score);
+            await storage.startTournamentAttempt(cup, user.twitterId, 1);
+            await storage.finishTournamentAttempt(cup, user.twitterId, score);
+        }
+
+        assert.equal(await storage.voidUserEntries(cheater.twitterId), 2);
+        assert.equal(await storage.voidUserEntries(cheater.twitterId), 0);
+        assert.deepEqual((await storage.getDailyLeaderboard(day)).map(r => r.username), [honest.username]);
+        assert.deepEqual((await storage.getTournamentLeaderboard(cup)).map(r => r.username), [honest.username]);
+        // The attempts still count as used
+        assert.equal(await storage.startDailyAttempt(day, cheater.twitterId), false);
+        assert.equal(await storage.startTournamentAttempt(cup, cheater.twitterId, 1), false);
+    });
+
+    it('stores reports and keeps the moderation log newest first', async () => {
+        const messageId = await storage.addMessage({ user: '@tester', text: 'reported' });
+        assert.ok(await storage.addReport({ messageId, reporterId: 'reporter', reason: 'spam' }));
+
+        await storage.addModerationLog({ moderatorId: 'mod', action: 'mute', targetId: 'first', details: '10m' });
+        await storage.addModerationLog({ moderatorId: 'mod', action: 'ban', targetId: 'second', details: 'spam' });
+        const [latest, previous] = await storage.getModerationLog(2);
+        assert.deepEqual(
+            { moderatorId: latest.moderatorId, action: latest.action, targetId: latest.targetId, details: latest.details },
+            { moderatorId: 'mod', action: 'ban', targetId: 'second', details: 'spam' }
+        );
+        assert.equal(previous.targetId, 'first');
+        assert.ok(latest.createdAt instanceof Date);
+    });
+}
+
+ADAPTERS.forEach(({ name, options, skip }) => {
+    describe(`${name} storage`, { skip }, () => storageContract(name, options));
+});
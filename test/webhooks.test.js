@@ -0,0 +1,153 @@
+// Webhooks: signing, templates, and when a failed delivery is tried again.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { createStorage } = require('../storage');
+const Webhooks = require('../lib/webhooks');
+
+describe('sign', () => {
+    it('is an HMAC-SHA256 of "<timestamp>.<body>"', () => {
+        const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+        assert.equal(Webhooks.sign('secret', 1700000000, '{"a":1}'), `sha256=${expected}`);
+    });
+
+    it('changes with the secret, the timestamp and the body', () => {
+        const signature = Webhooks.sign('secret', 1, 'body');
+        assert.notEqual(Webhooks.sign('other', 1, 'body'), signature);
+        assert.notEqual(Webhooks.sign('secret', 2, 'body'), signature);
+        assert.notEqual(Webhooks.sign('secret', 1, 'body!'), signature);
+    });
+});
+
+describe('render', () => {
+    const event = { text: 'gg', score: 1230, player: { username: 'tiedrop' }, standings: [{ rank: 1 }], empty: null };
+
+    it('fills placeholders in strings, nested objects and arrays', () => {
+        const template = { content: '{{ player.username }} scored {{score}}: {{text}}', embeds: [{ title: 'By {{player.username}}' }], fixed: true };
+        assert.deepEqual(Webhooks.render(template, event), { content: 'tiedrop scored 1230: gg', embeds: [{ title: 'By tiedrop' }], fixed: true });
+    });
+
+    it('keeps the type of a value that is the whole string', () => {
+        assert.deepEqual(Webhooks.render({ score: '{{score}}', player: '{{player}}', rows: '{{standings}}' }, event),
+            { score: 1230, player: { username: 'tiedrop' }, rows: [{ rank: 1 }] });
+    });
+
+    it('leaves missing values empty', () => {
+        assert.deepEqual(Webhooks.render({ a: 'x{{nope}}y', b: '{{nope.deeper}}', c: '{{empty}}!', d: '{{empty}}' }, event),
+            { a: 'xy', b: null, c: '!', d: null });
+    });
+
+    it('writes objects inside longer strings as JSON', () => {
+        assert.equal(Webhooks.render('Player: {{player}}', event), 'Player: {"username":"tiedrop"}');
+    });
+});
+
+describe('loadHooks', () => {
+    const hook = { id: 'discord', url: 'https://discord.example/hook', events: ['top3'] };
+
+    it('accepts valid hooks, with or without a template', () => {
+        assert.deepEqual(Webhooks.loadHooks({ webhooks: [hook, { ...hook, id: 'all', events: ['*'], template: { content: '{{text}}' } }] }), [
+            { ...hook, template: null },
+            { ...hook, id: 'all', events: ['*'], template: { content: '{{text}}' } }
+        ]);
+    });
+
+    it('refuses broken files', () => {
+        assert.throws(() => Webhooks.loadHooks({}), /webhooks list/);
+        assert.throws(() => Webhooks.loadHooks({ webhooks: [{ ...hook, id: '' }] }), /needs an id/);
+        assert.throws(() => Webhooks.loadHooks({ webhooks: [hook, hook] }), /used twice/);
+        assert.throws(() => Webhooks.loadHooks({ webhooks: [{ ...hook, url: 'ftp://x' }] }), /http\(s\) url/);
+        assert.throws(() => Webhooks.loadHooks({ webhooks: [{ ...hook, events: [] }] }), /list of events/);
+        assert.throws(() => Webhooks.loadHooks({ webhooks: [{ ...hook, events: ['nope'] }] }), /unknown event/);
+        assert.throws(() => Webhooks.loadHooks({ webhooks: [{ ...hook, template: 'text' }] }), /JSON object/);
+    });
+});
+
+describe('retryDelay', () => {
+    const failed = status => ({ ok: false, status, retryAfterMs: 0 });
+
+    it('doubles the wait from 30 seconds', () => {
+        assert.equal(Webhooks.retryDelay(failed(500), 1), 30 * 1000);
+        assert.equal(Webhooks.retryDelay(failed(503), 2), 60 * 1000);
+        assert.equal(Webhooks.retryDelay(failed(0), 3), 120 * 1000);
+        assert.equal(Webhooks.retryDelay(failed(500), Webhooks.MAX_ATTEMPTS - 1), 30 * 1000 * 2 ** (Webhooks.MAX_ATTEMPTS - 2));
+    });
+
+    it('waits longer when the receiver asks to with Retry-After', () => {
+        assert.equal(Webhooks.retryDelay({ ok: false, status: 429, retryAfterMs: 90 * 1000 }, 1), 90 * 1000);
+        assert.equal(Webhooks.retryDelay({ ok: false, status: 503, retryAfterMs: 1000 }, 2), 60 * 1000);
+    });
+
+    it('retries timeouts, rate limits, server errors and network errors', () => {
+        [0, 408, 429, 500, 502, 503].forEach(status => assert.notEqual(Webhooks.retryDelay(failed(status), 1), null, String(status)));
+    });
+
+    it('gives up on other 4xx answers, and after the last attempt', () => {
+        [400, 401, 403, 404, 410, 422].forEach(status => assert.equal(Webhooks.retryDelay(failed(status), 1), null, String(status)));
+        assert.equal(Webhooks.retryDelay(failed(500), Webhooks.MAX_ATTEMPTS), null);
+    });
+});
+
+describe('createWebhooks', () => {
+    let server, url, storage;
+    const received = [];
+    const answers = [];
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.writeHead(answers.shift() || 204);
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/hook`;
+        storage = createStorage('memory');
+        await storage.init();
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('sends subscribed events signed, with the template filled in', async () => {
+        const webhooks = Webhooks.createWebhooks({
+            storage,
+            secret: 'shh',
+            hooks: [
+                { id: 'chat', url, events: ['top3'], template: { content: '{{text}}' } },
+                { id: 'seasons', url, events: ['season-end'], template: null }
+            ]
+        });
+        received.length = 0;
+        await webhooks.emit('top3', { text: '👑 @p took #2', rank: 2 });
+        await webhooks.deliverDue();
+
+        assert.equal(received.length, 1);
+        const { headers, body } = received[0];
+        assert.deepEqual(JSON.parse(body), { content: '👑 @p took #2' });
+        assert.equal(headers['x-tie-drop-event'], 'top3');
+        assert.equal(headers['x-tie-drop-signature'], Webhooks.sign('shh', headers['x-tie-drop-timestamp'], body));
+        assert.equal((await storage.getRecentWebhookDeliveries(1))[0].status, 'delivered');
+    });
+
+    it('reschedules a server error and gives up on a client error', async () => {
+        const webhooks = Webhooks.createWebhooks({ storage, hooks: [{ id: 'all', url, events: ['*'], template: null }] });
+        received.length = 0;
+        answers.push(503);
+        await webhooks.emit('player-milestone', { players: 100 });
+        await webhooks.deliverDue();
+        let [delivery] = await storage.getRecentWebhookDeliveries(1);
+        assert.equal(received[0].headers['x-tie-drop-signature'], undefined);
+        assert.deepEqual([delivery.status, delivery.attempts, delivery.lastError], ['pending', 1, 'HTTP 503']);
+        assert.ok(delivery.nextAttemptAt - Date.now() > 25 * 1000);
+
+        answers.push(404);
+        await webhooks.emit('player-milestone', { players: 250 });
+        await webhooks.deliverDue();
+        [delivery] = await storage.getRecentWebhookDeliveries(1);
+        assert.deepEqual([delivery.status, delivery.attempts, delivery.lastError], ['failed', 1, 'HTTP 404']);
+    });
+});